@@ -0,0 +1,415 @@
+/**
+ *
+ * @licstart  The following is the entire license notice for the
+ *  JavaScript code in this page.
+ *
+ * Copyright (C) 2019, 2021 – 2024  RmbRT
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU
+ * General Public License (GNU GPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU GPL for more details.
+ *
+ * As additional permission under GNU GPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU GPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend  The above is the entire license notice
+ * for the JavaScript code in this page.
+ *
+ */
+'use strict';
+
+(() => {
+const isBrowser = typeof global === "undefined";
+const globalScope = (isBrowser ? window : global);
+const declareGlobals = (isBrowser || globalScope.RenderableUseGlobal);
+const { Renderable } = declareGlobals ? globalScope : require("./renderable.js");
+
+const RenderableRouter =
+{
+	/** Creates a router, which displays the renderable objects of the route matching the current location in an anchor.
+	@param options:
+		An object containing options:
+
+		* routes:
+			The routes, in the order in which they are matched. Each route is an object containing:
+
+			* path:
+				The route's path pattern. Segments starting with ":" are parameters (such as "/users/:id"), and the segment "*" matches any remaining path. The paths of nested routes are relative to their parent's path.
+			* component:
+				The renderable object to display, or a function that creates it from the route (see below) whenever the route is entered or its parameters change. Created objects are destroyed when they are no longer displayed.
+			* children:
+				Optional: Nested routes. Their component is displayed by the parent's component via the router's `outlet` function.
+			* meta:
+				Optional: Any data for the navigation guards.
+		* mode:
+			Optional: "history" (default in browsers) to use the path of the URL, "hash" to use the URL's fragment ("#/users/4"), or "memory" (default outside of browsers) to keep the history in memory.
+		* history:
+			Optional: A history object to use instead of `mode`, see RenderableRouter.memoryHistory.
+		* base:
+			Optional: The path prefix of all routes in "history" mode, such as "/app".
+		* anchor:
+			Optional: The anchor string of the renderable object displaying the current route. Defaults to "router", so that it is displayed by `${render.router}` placeholders.
+		* scope:
+			Optional: The scope of the anchor, see Renderable.createScope.
+		* beforeEach, afterEach:
+			Optional: Navigation guards, see the router's functions of the same name.
+	@return
+		The router, containing:
+
+		* view:
+			The renderable object displaying the current route. Its `route` property is the current route, an object containing the `path`, the `fullPath` (including the query string), the `params` and `query` objects, and the `matched` routes, outermost first.
+		* ready:
+			A promise resolving once the initial location is displayed.
+		* push(path), replace(path):
+			Navigate to a path, adding a new history entry or replacing the current one. Return a promise resolving to whether the navigation happened.
+		* back(), forward(), go(steps):
+			Move through the history.
+		* outlet(depth):
+			Returns the renderable object of the matched route at the given nesting depth, for displaying nested routes in their parent's component.
+		* href(path):
+			Returns the link target of a path in the router's mode.
+		* beforeEach(guard):
+			Adds a function called with the target and the current route before navigating. It can return false to cancel the navigation, or a path to navigate to instead, or a promise of either. Returns a function removing the guard.
+		* afterEach(guard):
+			Adds a function called with the new and the previous route after navigating. Returns a function removing the guard.
+		* destroy():
+			Stops listening for location changes and destroys the router's renderable objects. */
+	createRouter(options)
+	{
+		const history = options.history ?? RenderableRouter._internal.create_history(
+			options.mode ?? ((isBrowser && globalScope.history) ? "history" : "memory"),
+			options.base ?? "");
+		const routes = RenderableRouter._internal.flatten(options.routes ?? [], "", []);
+		const guards = {
+			before: [options.beforeEach ?? []].flat(),
+			after: [options.afterEach ?? []].flat()
+		};
+		// Identifies the latest navigation, so that older ones are discarded once their guards return.
+		let pending = null;
+
+		const view = Renderable.createInteractive({ route: null }, {
+			anchor: options.anchor ?? "router",
+			scope: options.scope,
+			render() { return Renderable.html`${this.route?.instances[0] ?? ""}`; },
+			events: {
+				// Clicks on links within the view.
+				click(e) { return RenderableRouter._internal.intercept(follow, history, routes, e); }
+			}
+		});
+		// Clicks on links outside of interactive renderable objects, which are only followed with the data-router-link attribute. The app's own fallback is restored by destroy().
+		const previousFallback = Renderable._internal.eventListeners.click?.fallback;
+		Renderable.fallback("click", view);
+
+		const navigate = async (path, mode, redirects) => {
+			if(redirects > 10)
+				throw new Error(`Too many redirects when navigating to '${path}'.`);
+			const token = pending = {};
+			const from = view.route;
+			const to = RenderableRouter._internal.resolve(routes, path);
+
+			for(const guard of Array.from(guards.before))
+			{
+				const result = await guard(to, from);
+				if(pending !== token)
+					return false;
+				if(result === false)
+				{
+					// The location already changed, so restore the displayed one.
+					if(mode === "pop" && from)
+						history.replace(from.fullPath);
+					return false;
+				}
+				if(typeof result === "string")
+					return navigate(result, (mode === "pop") ? "replace" : mode, redirects + 1);
+			}
+
+			if(mode === "push")
+				history.push(to.fullPath);
+			else if(mode === "replace")
+				history.replace(to.fullPath);
+			RenderableRouter._internal.commit(view, to, from);
+
+			for(const guard of Array.from(guards.after))
+				guard(to, from);
+			return true;
+		};
+
+		// Navigations started by the router itself are not awaited by anyone, so their errors are reported like rendering errors.
+		const follow = (path, mode) => navigate(path, mode, 0).catch((error) => {
+			Renderable._internal.report(error, view);
+			Renderable._internal.unhandled(error);
+		});
+
+		const remove = (list, guard) => () => {
+			const index = list.indexOf(guard);
+			if(index !== -1)
+				list.splice(index, 1);
+		};
+
+		const unlisten = history.listen(() => follow(history.location(), "pop"));
+		const router = {
+			view,
+			push: (path) => navigate(path, "push", 0),
+			replace: (path) => navigate(path, "replace", 0),
+			back: () => history.go(-1),
+			forward: () => history.go(1),
+			go: (steps) => history.go(steps),
+			outlet(depth)
+			{
+				return view.route?.instances[depth ?? 0] ?? "";
+			},
+			href: (path) => history.href(path),
+			beforeEach(guard)
+			{
+				guards.before.push(guard);
+				return remove(guards.before, guard);
+			},
+			afterEach(guard)
+			{
+				guards.after.push(guard);
+				return remove(guards.after, guard);
+			},
+			destroy()
+			{
+				unlisten();
+				pending = null;
+				RenderableRouter._internal.commit(view, null, view.route);
+				if(Renderable._internal.eventListeners.click?.fallback === view)
+					Renderable.fallback("click", previousFallback);
+				Renderable.destroy(view);
+			}
+		};
+		router.ready = navigate(history.location(), "replace", 0);
+		return router;
+	},
+
+	/** Creates a history that is kept in memory, for using routers outside of browsers, or for testing.
+	@param initial:
+		Optional: The initial location. Defaults to "/".
+	@return
+		The history object, containing the current `entries` and `index`, and the functions `location()`, `push(path)`, `replace(path)`, `go(steps)`, `href(path)`, `listen(callback)` (returning a function that stops listening) and `parse(href)` (returning the path of a link, or null if it does not belong to the router). Other history implementations have to provide the same functions. */
+	memoryHistory(initial)
+	{
+		const listeners = new Set();
+		const history = {
+			entries: [initial ?? "/"],
+			index: 0,
+			location: () => history.entries[history.index],
+			push(path)
+			{
+				history.entries.splice(history.index + 1, Infinity, path);
+				++history.index;
+			},
+			replace(path)
+			{
+				history.entries[history.index] = path;
+			},
+			go(steps)
+			{
+				const index = Math.min(Math.max(history.index + steps, 0), history.entries.length - 1);
+				if(index === history.index)
+					return;
+				history.index = index;
+				for(const listener of Array.from(listeners))
+					listener();
+			},
+			href: (path) => path,
+			listen(listener)
+			{
+				listeners.add(listener);
+				return () => listeners.delete(listener);
+			},
+			parse(href)
+			{
+				const url = RenderableRouter._internal.url(href);
+				return url && (url.pathname + url.search);
+			}
+		};
+		return history;
+	},
+
+	_internal:
+	{
+		/** Creates the history of a router mode, see RenderableRouter.createRouter. */
+		create_history(mode, base)
+		{
+			switch(mode)
+			{
+			case "memory":
+				return RenderableRouter.memoryHistory();
+			case "hash":
+				return RenderableRouter._internal.browser_history(
+					() => globalScope.location.hash.slice(1) || "/",
+					(path) => `#${path}`,
+					(url) => url.hash.startsWith("#/") ? url.hash.slice(1) : null);
+			case "history":
+				return RenderableRouter._internal.browser_history(
+					() => (globalScope.location.pathname.slice(base.length) || "/") + globalScope.location.search,
+					(path) => base + path,
+					// "/app2" is not within the base "/app".
+					(url) => (url.pathname === base || url.pathname.startsWith(`${base}/`))
+						? (url.pathname.slice(base.length) || "/") + url.search
+						: null);
+			default:
+				throw new Error(`Unknown router mode '${mode}'.`);
+			}
+		},
+
+		/** Creates a history that uses the browser's History API. */
+		browser_history(location, href, path)
+		{
+			return {
+				location,
+				push: (p) => globalScope.history.pushState(null, "", href(p)),
+				replace: (p) => globalScope.history.replaceState(null, "", href(p)),
+				go: (steps) => globalScope.history.go(steps),
+				href,
+				listen(listener)
+				{
+					// Hash links the router did not intercept only cause a hashchange event.
+					globalScope.addEventListener("popstate", listener);
+					globalScope.addEventListener("hashchange", listener);
+					return () => {
+						globalScope.removeEventListener("popstate", listener);
+						globalScope.removeEventListener("hashchange", listener);
+					};
+				},
+				parse(link)
+				{
+					const url = RenderableRouter._internal.url(link);
+					return url && path(url);
+				}
+			};
+		},
+
+		/** Parses a link target relative to the current location, or returns null if it leads to another origin. */
+		url(href)
+		{
+			const current = globalScope.location?.href ?? "http://localhost/";
+			const url = new URL(href, current);
+			return (url.origin === new URL(current).origin) ? url : null;
+		},
+
+		/** Compiles a route path into a regular expression and the names of its parameters. */
+		compile(path)
+		{
+			const keys = [];
+			const source = path.split("/").filter(Boolean).map(segment => {
+				if(segment === "*")
+				{
+					keys.push("pathMatch");
+					return "(?:/(.*))?";
+				}
+				if(segment.startsWith(":"))
+				{
+					keys.push(segment.slice(1));
+					return "/([^/]+)";
+				}
+				return "/" + segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+			}).join("");
+			return { regex: new RegExp(`^${source}/?$`), keys };
+		},
+
+		/** Lists all routes with their full paths, nested routes before their parents, so that the most specific route matches first. */
+		flatten(routes, prefix, parents)
+		{
+			const result = [];
+			for(const route of routes)
+			{
+				const path = route.path.startsWith("/")
+					? route.path
+					: `${prefix.replace(/\/$/, "")}/${route.path}`;
+				const matched = parents.concat([route]);
+				if(route.children)
+					result.push(...RenderableRouter._internal.flatten(route.children, path, matched));
+				result.push({ ...RenderableRouter._internal.compile(path), matched });
+			}
+			return result;
+		},
+
+		/** Finds the route matching a path, and returns the route object describing it. */
+		resolve(routes, fullPath)
+		{
+			const [path, search] = fullPath.split(/\?(.*)/s);
+			const normalised = path.startsWith("/") ? path : `/${path}`;
+			const query = Object.fromEntries(new URLSearchParams(search ?? ""));
+			for(const { regex, keys, matched } of routes)
+			{
+				const match = regex.exec(normalised);
+				if(!match)
+					continue;
+				const params = {};
+				keys.forEach((key, i) => params[key] = decodeURIComponent(match[i+1] ?? ""));
+				return { path: normalised, fullPath, params, query, matched };
+			}
+			return { path: normalised, fullPath, params: {}, query, matched: [] };
+		},
+
+		/** Displays a route: creates the renderable objects of its matched routes, reusing the previous route's objects where possible, and destroys the objects that are no longer displayed. */
+		commit(view, to, from)
+		{
+			const same_params = (a, b) => JSON.stringify(a.params) === JSON.stringify(b.params);
+			const instances = to?.matched.map((route, depth) => {
+				if(!(route.component instanceof Function) || Renderable.isRenderable(route.component))
+					return route.component;
+				if(from?.matched[depth] === route && same_params(from, to))
+					return from.instances[depth];
+				return route.component(to);
+			}) ?? [];
+
+			for(const [depth, instance] of (from?.instances ?? []).entries())
+				if(from.matched[depth].component !== instance
+				&& !instances.includes(instance))
+					Renderable.destroy(instance);
+
+			if(to)
+			{
+				to.instances = instances;
+				view.route = Renderable.markRaw(to);
+			}
+		},
+
+		/** Navigates to the target of a clicked link, unless it belongs to another origin or outside the router's base, matches no route, or is meant to be opened elsewhere.
+			Links outside of the router's view (received via the click fallback, without root element) are only followed if they have the data-router-link attribute.
+		@return
+			Whether the click was not handled. */
+		intercept(follow, history, routes, e)
+		{
+			const raw = e.raw;
+			if(raw.defaultPrevented
+			|| raw.button !== 0
+			|| raw.metaKey || raw.ctrlKey || raw.shiftKey || raw.altKey)
+				return true;
+
+			const link = e.target?.closest?.("a[href]");
+			if(!link
+			|| (link.target && link.target !== "_self")
+			|| link.hasAttribute("download")
+			|| link.hasAttribute("data-router-ignore")
+			|| (!e.root && !link.hasAttribute("data-router-link")))
+				return true;
+
+			const path = history.parse(link.href);
+			if(path === null
+			|| !RenderableRouter._internal.resolve(routes, path).matched.length)
+				return true;
+			follow(path, "push");
+			return false;
+		}
+	}
+};
+
+if(declareGlobals) {
+	globalScope.RenderableRouter = RenderableRouter;
+} else {
+	(isBrowser ? {} : module).exports = { RenderableRouter };
+}
+})();
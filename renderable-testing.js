@@ -0,0 +1,212 @@
+/**
+ *
+ * @licstart  The following is the entire license notice for the
+ *  JavaScript code in this page.
+ *
+ * Copyright (C) 2019, 2021 – 2024  RmbRT
+ *
+ *
+ * The JavaScript code in this page is free software: you can
+ * redistribute it and/or modify it under the terms of the GNU
+ * General Public License (GNU GPL) as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option)
+ * any later version.  The code is distributed WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE.  See the GNU GPL for more details.
+ *
+ * As additional permission under GNU GPL version 3 section 7, you
+ * may distribute non-source (e.g., minimized or compacted) forms of
+ * that code without the copy of the GNU GPL normally required by
+ * section 4, provided you include this license notice and a URL
+ * through which recipients can access the Corresponding Source.
+ *
+ * @licend  The above is the entire license notice
+ * for the JavaScript code in this page.
+ *
+ */
+'use strict';
+
+(() => {
+const isBrowser = typeof global === "undefined";
+const hasDom = () => typeof document !== "undefined";
+const globalScope = (isBrowser ? window : global);
+const declareGlobals = (isBrowser || globalScope.RenderableUseGlobal);
+const { Renderable } = declareGlobals ? globalScope : require("./renderable.js");
+
+// The configuration to restore in RenderableTesting.reset.
+const defaultConfig = { ...Renderable.config };
+// The wrappers returned by RenderableTesting.mount that are still mounted.
+const mounted = new Set();
+
+const RenderableTesting =
+{
+	/** Makes a DOM implementation's window (such as that of jsdom) available to renderable.js, for testing outside of browsers.
+		Only sets the globals that do not exist yet.
+	@param window:
+		The window object providing `document`, `Element`, the event classes and so on. */
+	setup(window)
+	{
+		for(const name of [
+			"window", "document", "Node", "Element", "HTMLElement", "DocumentFragment", "ShadowRoot",
+			"Event", "MouseEvent", "KeyboardEvent", "FocusEvent", "InputEvent", "CustomEvent",
+			"MutationObserver", "customElements"])
+			if(name in window && !(name in globalScope))
+				globalScope[name] = (name === "window") ? window : window[name];
+	},
+
+	/** Renders a renderable object into a container element, which does not have to be part of the document.
+		The object is rendered into the container instead of its anchors, and the container receives the event listeners of interactive renderable objects, so that events fired within it reach their `events` handlers.
+	@param renderable:
+		The renderable object to mount.
+	@param container:
+		Optional: The element to render into. Defaults to a new, detached `div` element.
+	@return
+		An object containing:
+
+		* renderable, container:
+			The mounted object and its container.
+		* query(selector), queryAll(selector):
+			Return the first element, or an array of all elements within the container matching a selector.
+		* html(), text():
+			Return the container's HTML or text contents.
+		* fire(target, type, init):
+			As RenderableTesting.fire, but `target` can also be a selector within the container.
+		* unmount():
+			Destroys the renderable object and stops passing events from the container. */
+	mount(renderable, container)
+	{
+		Renderable.assertRenderable(renderable);
+		container ??= document.createElement("div");
+
+		const rthis = renderable._renderable;
+		rthis.anchor = [container];
+		rthis.has_anchor = true;
+		// Write the DOM into the container even if the HTML did not change since the last rendering.
+		rthis.cache = null;
+		Renderable._internal.add_event_root(container);
+		Renderable.invalidate(renderable);
+		Renderable._internal.flush();
+
+		const wrapper = {
+			renderable,
+			container,
+			query: (selector) => container.querySelector(selector),
+			queryAll: (selector) => Array.from(container.querySelectorAll(selector)),
+			html: () => container.innerHTML,
+			text: () => container.textContent,
+			fire: (target, type, init) => RenderableTesting.fire(
+				(typeof target === 'string') ? wrapper.query(target) : target,
+				type,
+				init),
+			unmount()
+			{
+				if(!mounted.delete(wrapper))
+					return;
+				Renderable.destroy(renderable);
+				Renderable._internal.remove_event_root(container);
+			}
+		};
+		mounted.add(wrapper);
+		return wrapper;
+	},
+
+	/** Dispatches a synthetic event, which reaches the `events` handlers of interactive renderable objects in the document or in mounted containers.
+		Like events caused by the user, the event bubbles (unless its type does not), can be cancelled, and leaves shadow roots. Re-renders caused by the handlers happen as configured in Renderable.config.schedule, so await RenderableTesting.flush afterwards.
+	@param target:
+		The element to dispatch the event at.
+	@param type:
+		The event type, such as "click" or "keydown".
+	@param init:
+		Optional: Additional event properties, such as `key`, `button` or `shiftKey`.
+	@return
+		The event, to check whether its default action was prevented. */
+	fire(target, type, init)
+	{
+		if(!target)
+			throw new Error(`Cannot fire '${type}' event: target element not found.`);
+
+		const view = target.ownerDocument.defaultView;
+		const constructor =
+			type.startsWith("key") ? view.KeyboardEvent
+			: /^(click|dblclick|contextmenu|mouse)/.test(type) ? view.MouseEvent
+			: /^(focus|blur)/.test(type) ? view.FocusEvent
+			: view.Event;
+		const e = new constructor(type, {
+			bubbles: !Renderable._internal.nonBubbling.has(type),
+			cancelable: true,
+			composed: true,
+			...init
+		});
+		target.dispatchEvent(e);
+		return e;
+	},
+
+	/** Waits until all pending re-renders are done, including those of asynchronous `render()` functions and those they cause in turn.
+	@return
+		A promise that resolves once nothing is left to render. */
+	async flush()
+	{
+		const internal = Renderable._internal;
+		do {
+			await Renderable.flush();
+			// Let timers and microtasks that invalidate renderable objects (such as settled promises) run.
+			await new Promise(resolve => setTimeout(resolve));
+		} while(internal.scheduler.queue.size || internal.pendingRenders.size);
+	},
+
+	/** Resets the global state of renderable.js, so that tests do not influence each other.
+		Unmounts all mounted objects, empties the render namespace and removes all other scopes, stops listening for events, forgets all interactive objects, discards pending re-renders, and restores Renderable.config and the Renderable.onError and Renderable.onProfile callbacks. Component and formatter definitions are kept. */
+	reset()
+	{
+		for(const wrapper of Array.from(mounted))
+			wrapper.unmount();
+
+		const internal = Renderable._internal;
+		for(const [name, scope] of internal.scopes)
+		{
+			for(const anchor of Object.keys(scope))
+				delete scope[anchor];
+			if(name !== "render")
+				internal.scopes.delete(name);
+		}
+		internal.waiting = new WeakMap();
+
+		internal.renderstack.length = 0;
+		internal.effects.length = 0;
+		internal.cause = null;
+
+		if(hasDom())
+		{
+			Renderable.unlistenAllEvents();
+			if(internal.bindListener)
+				for(const type of ["input", "change"])
+					internal.remove_listener(type, internal.bindListener);
+			internal.bindListener = null;
+			for(const root of Array.from(internal.eventRoots))
+				internal.remove_event_root(root);
+		}
+		for(const id of Object.keys(internal.uniqueRenderables))
+			delete internal.uniqueRenderables[id];
+
+		Object.assign(internal.scheduler, { batches: 0, pending: false, flushing: false });
+		internal.scheduler.queue.clear();
+		internal.pendingRenders.clear();
+		internal.orphans.clear();
+		internal.historyGroups.clear();
+
+		for(const key of Object.keys(Renderable.config))
+			if(!(key in defaultConfig))
+				delete Renderable.config[key];
+		Object.assign(Renderable.config, defaultConfig);
+		Renderable.onError = null;
+		Renderable.onProfile = null;
+		Renderable.resetProfile();
+	}
+};
+
+if(declareGlobals) {
+	globalScope.RenderableTesting = RenderableTesting;
+} else {
+	(isBrowser ? {} : module).exports = { RenderableTesting };
+}
+})();
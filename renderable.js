@@ -46,7 +46,7 @@ const Renderable =
 		Whether the object was made renderable using Renderable.enable. */
 	isRenderable(obj)
 	{
-		return obj && ("_renderable" in obj);
+		return obj instanceof Object && ("_renderable" in obj);
 	},
 
 	/** Assert that an object is a renderable object.
@@ -61,7 +61,7 @@ const Renderable =
 	},
 
 	/** Adds renderable properties to a renderable object.
-		When a renderable property is changed, the associated renderable object is re-rendered. Passing a renderable object as `fields` will share its properties with the extended object. Changes made to the properties will then trigger re-rendering of both objects.
+		When a renderable property is changed, the associated renderable object is re-rendered. This includes modifications of plain objects, arrays, maps and sets stored in the property, at any depth, unless they are frozen or were passed to Renderable.markRaw. Passing a renderable object as `fields` will share its properties with the extended object. Changes made to the properties will then trigger re-rendering of both objects.
 	@param obj:
 		The renderable object.
 	@param fields:
@@ -74,6 +74,9 @@ const Renderable =
 		{
 			obj._renderable.children.push(fields);
 			fields._renderable.parents.push(obj);
+			// Unlike parents, sharers are permanent.
+			fields._renderable.sharers.push(obj);
+			obj._renderable.shares.push(fields);
 		}
 
 		const ignore = {render: null, _renderable: null, toString: null};
@@ -86,13 +89,19 @@ const Renderable =
 			{
 				obj._renderable.values.push(name);
 				Object.defineProperty(obj, name, {
-					get: ((name) => { return function(){ return fields[name]; }; })(name),
+					get: ((name) => { return function()
+						{
+							Renderable._internal.track(this, name);
+							return Renderable._internal.reactive(fields[name], this, name);
+						}; })(name),
 					set: ((name) => { return function(value)
 						{
+							this._renderable.guard?.(name);
+							value = Renderable._internal.toRaw(value);
 							if(fields[name] !== value)
 							{
 								fields[name] = value;
-								Renderable.invalidate(this);
+								Renderable._internal.changed(this, name);
 							}
 						}; })(name)
 				});
@@ -100,12 +109,312 @@ const Renderable =
 		}
 
 		if(Renderable.isRenderable(fields))
-			for(name of fields._renderable.values)
+			for(let name of fields._renderable.values)
+			{
+				if(name in obj)
+				{
+					console.warn(`addFields: Property '${name}' added twice.`);
+					continue;
+				}
 				Object.defineProperty(obj, name, {
-					get: ((name) => { return function(){ return fields[name]; }; })(name),
-					set: ((name) => { return function(value){ fields[name] = value; }}),
+					get() { return fields[name]; },
+					set(value) { fields[name] = value; }
 				});
+			}
+
+		return obj;
+	},
+
+	/** Adds computed properties to a renderable object.
+		A computed property is derived from other renderable properties, and its value is cached until one of the renderable properties it read changes. Then, the associated renderable object is invalidated, just like when changing a renderable property. Computed properties can read renderable and computed properties of any renderable object.
+	@param obj:
+		The renderable object.
+	@param computed:
+		An object containing the getter functions of the properties to be added. To make a computed property assignable, pass an object with a `get` and `set` function instead. */
+	addComputed(obj, computed)
+	{
+		Renderable.assertRenderable(obj);
+
+		for(let name in computed)
+		{
+			if(name in obj)
+			{
+				console.warn(`addComputed: Property '${name}' added twice.`);
+				continue;
+			}
+
+			const get = computed[name].get ?? computed[name];
+			const set = computed[name].set;
+			const effect = {
+				sources: new Set(),
+				dirty: true,
+				value: undefined,
+				notify()
+				{
+					if(effect.dirty)
+						return;
+					effect.dirty = true;
+					Renderable._internal.changed(obj, name);
+				}
+			};
+
+			Object.defineProperty(obj, name, {
+				get()
+				{
+					if(effect.dirty)
+					{
+						effect.value = Renderable._internal.collect(effect, () => get.call(obj));
+						effect.dirty = false;
+					}
+					Renderable._internal.track(obj, name);
+					return effect.value;
+				},
+				set: set && function(value) { set.call(obj, value); }
+			});
+		}
+
+		return obj;
+	},
+
+	/** Calls a function whenever a renderable property changes.
+		Works for renderable and computed properties, including properties shared via a renderable object passed to Renderable.addFields.
+	@param renderable:
+		The renderable object to watch.
+	@param source:
+		The name of the property to watch, or a function that computes the watched value from renderable properties. The function is called with the renderable object as `this`.
+	@param callback:
+		Called with the new and the old value whenever the watched value changed.
+	@param options:
+		Optional: An object containing options:
+
+		* immediate:
+			Also call `callback` right away, with `undefined` as old value.
+		* deep:
+			Also call `callback` when the contents of the watched value were modified. In that case, the old and the new value are the same object.
+	@return
+		A function that stops watching. */
+	watch(renderable, source, callback, options)
+	{
+		Renderable.assertRenderable(renderable);
+
+		const get = (source instanceof Function)
+			? () => source.call(renderable, renderable)
+			: () => renderable[source];
+		let watching = true;
+		const effect = {
+			sources: new Set(),
+			value: undefined,
+			notify()
+			{
+				if(!watching)
+					return;
+				const old = effect.value;
+				effect.value = Renderable._internal.collect(effect, get);
+				if(options?.deep || !Object.is(old, effect.value))
+					callback.call(renderable, effect.value, old);
+			}
+		};
+
+		effect.value = Renderable._internal.collect(effect, get);
+		if(options?.immediate)
+			callback.call(renderable, effect.value, undefined);
+
+		return () => {
+			watching = false;
+			Renderable._internal.collect(effect, () => {});
+		};
+	},
+
+	/** Returns a copy of the values of a renderable object's properties, including the properties shared via a renderable object passed to Renderable.addFields.
+		Nested objects, arrays, maps and sets are copied as well (except for the keys of maps), and renderable objects stored in properties are replaced by their snapshots. The result is JSON-serializable if the property values are.
+	@param renderable:
+		The renderable object.
+	@return
+		An object mapping the property names to their values. */
+	snapshot(renderable)
+	{
+		Renderable.assertRenderable(renderable);
+		const snapshot = {};
+		for(const name of Renderable._internal.field_names(renderable))
+			snapshot[name] = Renderable._internal.copy_state(renderable[name]);
+		return snapshot;
+	},
+
+	/** Sets the properties of a renderable object to the values of a snapshot taken via Renderable.snapshot.
+		Renderable objects stored in properties are restored from their snapshots, instead of being replaced. Names that are no properties of the object are ignored. All changes are rendered at once.
+	@param renderable:
+		The renderable object.
+	@param snapshot:
+		The property values to restore. */
+	restore(renderable, snapshot)
+	{
+		Renderable.assertRenderable(renderable);
+		const fields = Renderable._internal.field_names(renderable);
+		Renderable.batch(() => {
+			for(const name in snapshot)
+			{
+				if(!fields.includes(name))
+					continue;
+				const current = Renderable._internal.toRaw(renderable[name]);
+				if(Renderable.isRenderable(current) && snapshot[name] instanceof Object)
+					Renderable.restore(current, snapshot[name]);
+				else
+					renderable[name] = Renderable._internal.copy_state(snapshot[name]);
+			}
+		});
+	},
+
+	/** Starts recording the changes of a renderable object's properties, so that they can be undone.
+		Each property change is recorded as a separate step, except for changes within a Renderable.batch call, which are recorded as a single step.
+	@param renderable:
+		The renderable object.
+	@param options:
+		Optional: An object containing options:
+
+		* depth:
+			The maximum number of steps that can be undone. Defaults to 100.
+	@return
+		An object with the functions `undo()` and `redo()`, which return whether there was a step to undo or redo, `canUndo()` and `canRedo()`, `clear()`, which forgets all recorded steps, and `stop()`, which stops recording. */
+	history(renderable, options)
+	{
+		Renderable.assertRenderable(renderable);
+		const histories = Renderable._internal.histories;
+		if(histories.has(renderable))
+			throw new Error("Renderable already has a history.");
+
+		const history = {
+			renderable,
+			depth: options?.depth ?? 100,
+			current: Renderable.snapshot(renderable),
+			undo: [],
+			redo: [],
+			restoring: false
+		};
+		histories.set(renderable, history);
+
+		// Moves the current state onto `to` and restores the last state of `from`.
+		const step = (from, to) => {
+			if(!from.length)
+				return false;
+			to.push(history.current);
+			history.current = from.pop();
+			history.restoring = true;
+			try {
+				Renderable.restore(renderable, history.current);
+			} finally {
+				history.restoring = false;
+			}
+			return true;
+		};
+
+		return {
+			undo: () => step(history.undo, history.redo),
+			redo: () => step(history.redo, history.undo),
+			canUndo: () => history.undo.length != 0,
+			canRedo: () => history.redo.length != 0,
+			clear()
+			{
+				history.undo = [];
+				history.redo = [];
+			},
+			stop()
+			{
+				if(histories.get(renderable) === history)
+					histories.delete(renderable);
+			}
+		};
+	},
+
+	/** Creates a store for state that is shared by many renderable objects.
+		The store's state is a renderable object whose properties can be read anywhere, but only be changed by the store's actions. Renderable objects that read a property of the state while rendering are re-rendered when it changes.
+	@param options:
+		An object containing options:
+
+		* state:
+			The initial values of the state's properties, or a function returning them.
+		* actions:
+			An object containing functions that change the state. They are called with the store as `this`, the state, and the arguments passed to Renderable.createStore's `dispatch`. All changes an action makes before returning are rendered at once. Changes made by asynchronous actions after their first `await` have to be made by dispatching other actions.
+		* computed:
+			Optional: Computed properties of the state, see Renderable.addComputed.
+		* middleware:
+			Optional: An array of functions that are called for every dispatched action, see the store's `use` function.
+	@return
+		The store, containing:
+
+		* state:
+			The state.
+		* dispatch(type, ...args):
+			Calls the action named `type` with the arguments, and returns its result.
+		* actions:
+			Functions calling `dispatch` for each action, with the action's name.
+		* subscribe(listener):
+			Calls `listener` with the action (an object containing its `type` and `args`) and the state after every action. Returns a function that removes the listener.
+		* use(middleware):
+			Adds a middleware function, which is called with the action and a `next` function, which passes the action to the next middleware (or to the action itself) and returns its result. Middleware can be used for logging or persisting changes, or for recording and replaying actions. Middleware is called in the order in which it was added. */
+	createStore({state, actions, computed, middleware})
+	{
+		actions ??= {};
+		const subscribers = new Set();
+		const middlewares = [];
+		let dispatching = 0;
+
+		const perform = (action) => {
+			if(!Object.hasOwn(actions, action.type))
+				throw new Error(`Unknown action '${action.type}'.`);
+			let result;
+			++dispatching;
+			try {
+				result = Renderable.batch(() => actions[action.type].call(store, store.state, ...action.args));
+			} finally {
+				--dispatching;
+			}
+			for(const subscriber of Array.from(subscribers))
+				subscriber(action, store.state);
+			return result;
+		};
+
+		const store = {
+			state: Renderable.create(
+				(state instanceof Function) ? state() : { ...state },
+				{ render() { return ""; }, computed }),
+			actions: {},
+			dispatch(type, ...args)
+			{
+				const run = (i, action) => (i < middlewares.length)
+					? middlewares[i](action, (next) => run(i+1, next ?? action))
+					: perform(action);
+				return run(0, { type, args });
+			},
+			subscribe(listener)
+			{
+				subscribers.add(listener);
+				return () => subscribers.delete(listener);
+			},
+			use(middleware)
+			{
+				middlewares.push(middleware);
+			}
+		};
+		store.state._renderable.guard = (name) => {
+			if(!dispatching)
+				throw new Error(`Store state '${name}' can only be changed by actions.`);
+		};
+		for(const type in actions)
+			store.actions[type] = (...args) => store.dispatch(type, ...args);
+		for(const m of middleware ?? [])
+			store.use(m);
+		return store;
+	},
 
+	/** Excludes an object from deep reactivity.
+		Modifications of the object's contents will not re-render the renderable objects it is stored in. Use this for large data that is never modified, or replaced as a whole.
+	@param obj:
+		The object to exclude.
+	@return
+		`obj`. */
+	markRaw(obj)
+	{
+		Renderable._internal.rawObjects.add(obj);
 		return obj;
 	},
 
@@ -120,6 +429,8 @@ const Renderable =
 		* anchor:
 			Optional: The anchor(s) in the document to render the object into.
 			Either an Element, an Element array, or a string. If it is a string, renders into all elements with the name "render.x", where x is the anchor string, and saves the object into the global render.x (again, where x is the anchor string).
+		* scope:
+			Optional: The scope (see Renderable.createScope) to use for string anchors instead of the global render namespace.
 		* children:
 			Optional: The renderable objects this object uses internally.
 			If any of the children is updated, this object will also be updated. Allowed values are either a renderable object, or an array of renderable objects.
@@ -143,10 +454,21 @@ const Renderable =
 				params.anchor = [params.anchor];
 			else if(typeof params.anchor === 'string')
 			{
-				if(params.anchor in render)
+				const scope = params.scope ?? render;
+				if(!Renderable._internal.scopeInfo.has(scope))
+					throw new Error("Scope must be created by Renderable.createScope!");
+				if(params.anchor in scope)
 					throw new Error("Duplicate renderable detected!");
 				
-				render[params.anchor] = obj;
+				scope[params.anchor] = obj;
+
+				// Update placeholders that were waiting for this object, once it is complete.
+				const waiting = Renderable._internal.waiting.get(scope)?.get(params.anchor);
+				if(waiting)
+				{
+					Renderable._internal.waiting.get(scope).delete(params.anchor);
+					queueMicrotask(() => waiting.forEach(Renderable.invalidate));
+				}
 			}
 		}
 
@@ -163,17 +485,49 @@ const Renderable =
 			cache_final: null,
 			rendering: false,
 			events: params.events || {},
+			hooks: {
+				mounted: params.mounted,
+				updated: params.updated,
+				unmounted: params.unmounted
+			},
+			mounted: false,
+			updated: false,
+			scope: params.scope ?? render,
+			renderError: params.renderError,
+			// Internal: receives the HTML of each rendering, for renderables that are not rendered into anchors.
+			sink: params.sink,
+			proxies: {},
+			deps: {},
+			sharers: [],
+			shares: [],
+			slots: {},
 			constructing: true
 		};
 
+		// Invalidates the object when a renderable property of another object read by its last rendering changes.
+		const effect = obj._renderable.effect = {
+			sources: new Set(),
+			notify()
+			{
+				Renderable.invalidate(obj);
+				// Stop tracking objects that are no longer displayed.
+				const rthis = obj._renderable;
+				if(!rthis.parents.length && !rthis.anchor.length && !rthis.sink)
+					Renderable._internal.collect(effect, () => {});
+			}
+		};
+
 		// transitive anchor tracking throughout the parents.
-		obj._renderable.has_anchor = obj._renderable.anchor.length != 0;
+		obj._renderable.has_anchor = obj._renderable.anchor.length != 0 || !!params.sink;
 
 		let renderstack = Renderable._internal.renderstack;
 		if(renderstack.length){
 			obj._renderable.has_anchor ||= renderstack[renderstack.length-1]._renderable.has_anchor;
 		}
 
+		if(params.slots)
+			Renderable.fill(obj, params.slots);
+
 		// Activate all necessary events.
 		Renderable.listenForEvents(Object.keys(obj._renderable.events));
 
@@ -209,24 +563,30 @@ const Renderable =
 	{
 		Renderable.assertRenderable(renderable);
 		Renderable._internal.renderstack.push(renderable);
-		let result = perform(renderable);
-		Renderable._internal.renderstack.pop();
-		return result;
+		try {
+			return perform(renderable);
+		} finally {
+			Renderable._internal.renderstack.pop();
+		}
 	},
 
 	relay(e, renderable) {
 		Renderable.assertRenderable(renderable);
-		let handler = renderable._renderable.events[e.type];
-		return handler ? handler.call(renderable, {
-			...e,
-			bubbled: e.target != renderable,
-		}) : true;
+		let result = true;
+		for(const {modifiers, handler} of Renderable._internal.handlers(renderable, e.type))
+			if(!e.raw || Renderable._internal.modifiers_match(modifiers, e.raw, e.root))
+				result = handler.call(renderable, {
+					...e,
+					bubbled: e.target != renderable,
+				}) && result;
+		return result;
 	},
 
 	fallback(event_type, renderable) {
-		if(event_type in Renderable._internal.eventListeners) {
-			Renderable._internal.eventListeners[event_type].fallback = renderable;
-		}
+		for(const name of [event_type, `${event_type}.passive`])
+			if(name in Renderable._internal.eventListeners) {
+				Renderable._internal.eventListeners[name].fallback = renderable;
+			}
 	},
 
 	/** Creates a new renderable object.
@@ -237,15 +597,44 @@ const Renderable =
 		An object containing parameters:
 
 		* render:
-			A function that generates a HTML representation of the object.
+			A function that generates a HTML representation of the object. It can also return a promise of the HTML, in which case `settings.placeholder` (or Renderable.config.placeholder) is displayed until the promise settles. Results of promises that settle after the object was invalidated again are discarded. If the promise is rejected, the `renderError` parameter is used to display the error. Renderable objects used after the first `await` are displayed, but are not updated when they change.
 		* anchor:
 			Optional: The anchor(s) in the document to render the object into.
 			Either an Element, an Element array, or a string. If it is a string, renders into all elements with the name "render.x", where x is the anchor string, and saves the object into the global render.x (again, where x is the anchor string).
+		* scope:
+			Optional: The scope (see Renderable.createScope) to use for string anchors instead of the global render namespace.
 		* children:
 			Optional: The renderable objects this object uses internally.
 			If any of the children is updated, this object will also be updated. Allowed values are either a renderable object, or an array of renderable objects.
 		* events:
-			Optional: Event handlers for DOM events. Only used when calling Renderable.createInteractive().
+			Optional: Event handlers for DOM events, by event type. Only used when calling Renderable.createInteractive(). The event type can be followed by modifiers, such as "keydown.enter" or "click.stop.prevent":
+
+			* stop, prevent:
+				Stop the event's propagation, or prevent its default action.
+			* self:
+				Only handle events targeting the object's own elements, not their descendants.
+			* once:
+				Only handle the first event.
+			* capture:
+				Handle the event before the renderable objects inside this one do.
+			* passive:
+				Listen passively, so that the handler cannot prevent the default action, but scrolling is not delayed.
+			* ctrl, alt, shift, meta:
+				Only handle events while the modifier key is pressed.
+			* Any other modifier:
+				Only handle events of the named key (the event's `key`, or one of "esc", "space", "up", "down", "left", "right" and "del"), or for mouse events, the "left", "middle" or "right" button.
+		* mounted:
+			Optional: Called after the object's DOM was first inserted into the document.
+		* updated:
+			Optional: Called after changes of the object's DOM were written into the document.
+		* unmounted:
+			Optional: Called after the object's DOM was removed from the document, either because no parent displays it anymore, or because it was destroyed.
+		* computed:
+			Optional: Computed properties to add, see Renderable.addComputed.
+		* renderError:
+			Optional: Makes the object an error boundary. If its `render()` function, or that of any child it renders, throws an error, `renderError` is called with the error and returns the HTML to display instead.
+		* slots:
+			Optional: The contents of the object's slots, see Renderable.fill.
 	@param untracked:
 		(Optional) An object containing additional properties of the renderable object and their initial values.
 		Fields in this object will not be tracked and modifications will not result in a re-render. */
@@ -254,19 +643,7 @@ const Renderable =
 		const base = untracked ?? {};
 		delete base.render;
 
-		let r = Renderable.addFields(
-			Renderable.enable(
-				base,
-				{ render: untracked?.render, ...params },
-				undefined),
-			fields);
-		Renderable._internal.renderstack.push(r);
-		if(typeof params["constructor"] === "function")
-			params["constructor"].call(r);
-		Renderable._internal.renderstack.pop();
-		Renderable.render(r);
-		delete r._renderable.constructing;
-		return r;
+		return Renderable._internal.construct(base, fields, params, untracked, undefined);
 	},
 
 	/** Creates a new renderable object that gives its outermost tags an ID used for linking DOM events back to the renderable. */
@@ -296,23 +673,217 @@ const Renderable =
 						return [[x, event[1][0].toLowerCase() + event[1].slice(1)]];
 					return [[x, event[1]]];
 				}).forEach(([k, event]) => params.events[event] = base[k]);
-			let r = Renderable.addFields(
-				Renderable.enable(
-					base,
-					{ render: untracked?.render, ...params },
-					counter++),
-				fields);
-
-			Renderable._internal.renderstack.push(r);
-			if(typeof params["constructor"] === "function")
-				params["constructor"].call(r);
-			Renderable._internal.renderstack.pop();
-			Renderable.render(r);
-			delete r._renderable.constructing;
-			return r;
+			return Renderable._internal.construct(base, fields, params, untracked, counter++);
 		};
 	})(),
 
+	/** Sets the contents of a renderable object's slots, which its `render()` function places via Renderable.slot.
+		Renderable objects are displayed as they are. Other contents are wrapped into a renderable object once, which is kept when the slot's contents change later on, so that the slot's DOM is only updated where needed. Like in Renderable.html, strings are escaped, so markup has to be passed as Renderable.html or Renderable.raw result.
+	@param renderable:
+		The renderable object.
+	@param slots:
+		An object mapping slot names to their contents. The unnamed slot is called "default". Passing `null` or `undefined` empties a slot. */
+	fill(renderable, slots)
+	{
+		Renderable.assertRenderable(renderable);
+		const current = renderable._renderable.slots;
+		for(const name in slots)
+		{
+			const content = slots[name];
+			if(content === null || content === undefined)
+				delete current[name];
+			else if(Renderable.isRenderable(content))
+				current[name] = content;
+			else if(Renderable._internal.slotWrappers.has(current[name]))
+				current[name].content = content;
+			else
+			{
+				current[name] = Renderable.create({ content }, {
+					render() { return Renderable.html`${this.content}`; }
+				});
+				Renderable._internal.slotWrappers.add(current[name]);
+			}
+		}
+		Renderable.invalidate(renderable);
+	},
+
+	/** Returns the contents of a slot, for placing them in the `render()` function of the slot's owner.
+	@param renderable:
+		The renderable object owning the slot.
+	@param name:
+		Optional: The slot's name. Defaults to "default".
+	@param fallback:
+		Optional: What to display if the slot is empty.
+	@return
+		The slot's renderable object, or `fallback` if the slot is empty. */
+	slot(renderable, name, fallback)
+	{
+		Renderable.assertRenderable(renderable);
+		return renderable._renderable.slots[name ?? "default"] ?? fallback;
+	},
+
+	/** Defines a reusable component type.
+	@param name:
+		The component's name, for creating instances via Renderable.component. Must be unique.
+	@param definition:
+		An object describing the component:
+
+		* props:
+			Optional: The properties passed to each instance. Either an array of names, or an object mapping names to property types (see below), or to objects containing:
+
+			* type:
+				Optional: The constructor (or an array of constructors) the value must be an instance of. `String`, `Number`, `Boolean`, `Symbol` and `BigInt` match the corresponding primitives. `null` is accepted for all types unless the property is required.
+			* required:
+				Optional: Whether the property must be passed.
+			* default:
+				Optional: The value to use when the property is not passed. For types other than `Function`, functions are called to create the value, so that each instance gets its own object or array.
+			* validator:
+				Optional: A function that returns whether a passed value is valid.
+
+			Without `props`, any properties are accepted.
+		* state:
+			Optional: A function returning the initial values of the instance's other renderable properties. It is called with the instance's properties.
+		* methods:
+			Optional: Functions added to each instance without being tracked.
+		* render, events, computed, mounted, updated, unmounted, renderError, constructor:
+			As the corresponding parameters of Renderable.create. If `events` is given, the instances are interactive (see Renderable.createInteractive).
+	@return
+		A function creating an instance from its properties and optional additional parameters for Renderable.create (such as `anchor`, `scope` or `children`). Properties and state become renderable properties of the instance.
+	@throws Error
+		When creating an instance with missing or invalid properties. */
+	define(name, definition)
+	{
+		const components = Renderable._internal.components;
+		if(components.has(name))
+			throw new Error(`Duplicate component '${name}' detected!`);
+		if(!(definition.render instanceof Function))
+			throw new Error("Expected 'render' function in definition.");
+
+		const factory = (props, params) => {
+			props = Renderable._internal.props(name, definition.props, props ?? {});
+			const fields = {
+				...props,
+				...(definition.state instanceof Function ? definition.state(props) : definition.state)
+			};
+			const shared = {};
+			for(const param of ["render", "computed", "mounted", "updated", "unmounted", "renderError", "constructor"])
+				if(Object.hasOwn(definition, param))
+					shared[param] = definition[param];
+			params = { ...shared, ...params };
+			const methods = { ...definition.methods };
+			if(!definition.events)
+				return Renderable.create(fields, params, methods);
+			// createInteractive adds the instance's handlers to the events.
+			params.events = { ...definition.events, ...params.events };
+			return Renderable.createInteractive(fields, params, methods);
+		};
+		factory.props = definition.props;
+		components.set(name, factory);
+		return factory;
+	},
+
+	/** Creates an instance of a component defined via Renderable.define.
+	@param name:
+		The component's name.
+	@param props:
+		The instance's properties.
+	@param params:
+		Optional: Additional parameters, see Renderable.define.
+	@return
+		The new renderable object. */
+	component(name, props, params)
+	{
+		const factory = Renderable._internal.components.get(name);
+		if(!factory)
+			throw new Error(`Unknown component '${name}'.`);
+		return factory(props, params);
+	},
+
+	/** Registers a custom element that displays a renderable object, so that it can be used as a tag in any HTML.
+		When the element is inserted into the document, it creates a renderable object and renders it into itself, or into its shadow root. When it is removed from the document (and not inserted again right away, as when moving it), the object is destroyed. The object is available as the element's `renderable` property. Does nothing without DOM.
+	@param tag:
+		The element's tag name, which must contain a hyphen.
+	@param factory:
+		A function that creates the renderable object from its properties and parameters (such as the anchor) like the factories returned by Renderable.define, or the name of a component defined via Renderable.define.
+	@param options:
+		Optional: An object containing options:
+
+		* attributes:
+			The properties that are set from the element's attributes, and updated whenever the attributes change. Attribute names are the kebab-case versions of the property names (the property `userId` is set by the attribute `user-id`). Defaults to the properties declared by the component. Values are converted to numbers and booleans if the component declares these types.
+		* shadow:
+			Whether to render into an open (true or "open") or closed ("closed") shadow root instead of the element's children.
+	@return
+		The custom element class. */
+	defineElement(tag, factory, options)
+	{
+		if(typeof customElements === "undefined")
+			return;
+		if(typeof factory === "string")
+		{
+			const name = factory;
+			factory = Renderable._internal.components.get(name);
+			if(!factory)
+				throw new Error(`Unknown component '${name}'.`);
+		}
+
+		const internal = Renderable._internal;
+		const declared = Array.isArray(factory.props)
+			? Object.fromEntries(factory.props.map(name => [name, {}]))
+			: (factory.props ?? {});
+		const attributes = new Map((options?.attributes ?? Object.keys(declared)).map(
+			field => [field.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`), field]));
+		const value = (field, attribute) => internal.attribute_prop(attribute, declared[field]);
+
+		const element = class extends HTMLElement
+		{
+			static get observedAttributes() { return Array.from(attributes.keys()); }
+
+			#root = null;
+			renderable = null;
+
+			connectedCallback()
+			{
+				if(this.renderable)
+					return;
+				if(options?.shadow)
+				{
+					this.#root ??= this.attachShadow({ mode: options.shadow === "closed" ? "closed" : "open" });
+					internal.add_event_root(this.#root);
+				}
+
+				const props = {};
+				for(const [name, field] of attributes)
+					if(this.hasAttribute(name))
+						props[field] = value(field, this.getAttribute(name));
+				this.renderable = factory(props, { anchor: [this.#root ?? this] });
+			}
+
+			disconnectedCallback()
+			{
+				// Moved elements are connected again before this runs.
+				queueMicrotask(() => {
+					if(this.isConnected || !this.renderable)
+						return;
+					Renderable.destroy(this.renderable);
+					this.renderable = null;
+					if(this.#root)
+						internal.remove_event_root(this.#root);
+				});
+			}
+
+			attributeChangedCallback(name, old, current)
+			{
+				if(this.renderable)
+				{
+					const field = attributes.get(name);
+					this.renderable[field] = value(field, current);
+				}
+			}
+		};
+		customElements.define(tag, element);
+		return element;
+	},
+
 	/** Renders the renderable object into all its anchors and parents.
 		Only modifies differing elements in the document, to minimise the amount of re-rendering done by the browser.
 	@param renderable:
@@ -331,40 +902,68 @@ const Renderable =
 		if(!renderable._renderable.constructing)
 			renderable._renderable.parents = [];
 
+		const anchor = Renderable._internal.anchor_elements(renderable);
+
+		// Initially, server-rendered anchor contents are adopted instead of being rendered again.
+		const hydrate = Renderable.config.hydrate
+			&& renderable._renderable.constructing
+			&& anchor.length != 0
+			&& anchor[0].hasChildNodes()
+			// Anchors of objects that did not exist yet when the placeholders were replaced still display the placeholder.
+			&& anchor[0].textContent !== `\${${anchor[0].getAttribute("name")}}`;
+
 		let out = {};
 		Renderable._internal.isRenderCall = true;
+		renderable._renderable.hydrating = hydrate;
 		const start = globalScope.performance?.now() ?? new Date();
-		let html = renderable.render(out);
+		let html;
+		try {
+			html = renderable.render(out);
+		} catch(error) {
+			renderable._renderable.parents = prev_parents;
+			throw error;
+		} finally {
+			renderable._renderable.hydrating = false;
+			Renderable._internal.isRenderCall = false;
+		}
 		const rendered = globalScope.performance?.now() ?? new Date();
-		Renderable._internal.isRenderCall = false;
 		if(!out.changed) {
 			renderable._renderable.parents = prev_parents;
+			Renderable._internal.profile_render(renderable, rendered - start, 0, false);
 			return false;
 		}
 
-		let anchor = renderable._renderable.anchor;
-		if(typeof anchor === 'string')
-			anchor = document.getElementsByName("render."+anchor);
-
+		renderable._renderable.sink?.(html);
 
 		// If the renderable is in the document, render it.
 		if(anchor.length)
 		{
-			const DOM = renderable._renderable.DOM;
-			// TODO: figure out why it breaks if we do not clone the renderable's internal DOM.
-			for(let i = 0; i < anchor.length; i++)
-				Renderable._internal.replace(DOM, anchor[i], true);
+			if(hydrate)
+				Renderable._internal.hydrate(renderable, anchor);
+			else
+			{
+				const DOM = renderable._renderable.DOM;
+				// TODO: figure out why it breaks if we do not clone the renderable's internal DOM.
+				for(let i = 0; i < anchor.length; i++)
+					Renderable._internal.replace(DOM, anchor[i], true);
+			}
+
+			Renderable._internal.mounted(renderable, new Set());
+			Renderable._internal.unmount_orphans();
 		}
 		const end = globalScope.performance?.now() ?? new Date();
 		const diff = end - start;
-		if(diff > 10)
+		if(diff > Renderable.config.slowRender)
 			console.warn(`Rendered within ${diff}ms (render: ${rendered - start}ms, DOM: ${end - rendered}ms)`);
+		Renderable._internal.profile_render(renderable, rendered - start, end - rendered, true);
 	
 		if(!renderable._renderable.constructing)
 		{
 			// notify all previous session's parents, in case they are still using this renderable.
-			for(const parent of prev_parents)
-				Renderable.invalidate(parent);
+			Renderable._internal.caused({ owner: renderable, field: null }, () => {
+				for(const parent of prev_parents)
+					Renderable.invalidate(parent);
+			});
 		}
 
 		return true;
@@ -410,17 +1009,81 @@ const Renderable =
 				}
 	},
 
-	/** Invalidates a renderable object, and triggers a re-render.
-		Calls Renderable.render, and if it returns true, then all parents are invalidated as well. This function is called automatically whenever a renderable property is changed. If a renderable object has unregistered properties, this function has to be called manually after each modification of those properties.
+	/** Permanently removes a renderable object.
+		Removes it from the global render namespace and its anchors, detaches it from its parents and children, and stops listening for event types no other renderable object handles anymore. Calls the unmounted hooks of the object and all children that are not displayed elsewhere.
+	@param renderable:
+		The renderable object to destroy. */
+	destroy(renderable)
+	{
+		Renderable.assertRenderable(renderable);
+		const rthis = renderable._renderable;
+		if(rthis.destroyed)
+			return;
+		rthis.destroyed = true;
+
+		for(const element of Array.from(Renderable._internal.anchor_elements(renderable)))
+			element.replaceChildren();
+		if(typeof rthis.anchor === 'string' && rthis.scope[rthis.anchor] === renderable)
+			delete rthis.scope[rthis.anchor];
+
+		for(const parent of rthis.parents)
+			parent._renderable.children = parent._renderable.children.filter(c => c !== renderable);
+		for(const child of rthis.children)
+			child._renderable.parents = child._renderable.parents.filter(p => p !== renderable);
+		for(const fields of rthis.shares)
+			fields._renderable.sharers = fields._renderable.sharers.filter(s => s !== renderable);
+		rthis.parents = [];
+		rthis.shares = [];
+		Renderable._internal.scheduler.queue.delete(renderable);
+		Renderable._internal.pendingRenders.delete(renderable);
+
+		if(rthis.bind_id !== undefined)
+			delete Renderable._internal.uniqueRenderables[rthis.bind_id];
+		// Destroyed objects no longer receive events that no renderable object handled.
+		for(const listener of Object.values(Renderable._internal.eventListeners))
+			if(listener.fallback === renderable)
+				delete listener.fallback;
+
+		if(rthis.id !== undefined)
+		{
+			delete Renderable._internal.uniqueRenderables[rthis.id];
+
+			const listener_names = Renderable._internal.listener_names;
+			const used = new Set();
+			for(const ref of Object.values(Renderable._internal.uniqueRenderables))
+				for(const name of listener_names(Object.keys(ref.deref()?._renderable.events ?? {})))
+					used.add(name);
+			for(const {fallback} of Object.values(Renderable._internal.eventListeners))
+				for(const name of listener_names(Object.keys(fallback?._renderable.events ?? {})))
+					used.add(name);
+			Renderable.unlistenEvents(listener_names(Object.keys(rthis.events)).filter(e => !used.has(e)));
+		}
+
+		Renderable._internal.collect(rthis.effect, () => {});
+		Renderable._internal.unmount(renderable);
+		rthis.children = [];
+	},
+
+	/** Invalidates a renderable object, and schedules a re-render.
+		The re-render happens as configured in `Renderable.config.schedule`, and if it changed the renderable's contents, then all parents are invalidated as well. This function is called automatically whenever a renderable property is changed. If a renderable object has unregistered properties, this function has to be called manually after each modification of those properties.
 	@param renderable:
 		The renderable object to invalidate. */
 	invalidate(renderable)
 	{
 		Renderable.assertRenderable(renderable);
-		if(renderable._renderable.constructing)
+		if(renderable._renderable.constructing
+		|| renderable._renderable.destroyed)
 			return;
 
 		renderable._renderable.dirty = true;
+		if(!renderable._renderable.settling)
+		{
+			// Discard the results of asynchronous renderings that are still pending.
+			renderable._renderable.pending = null;
+			renderable._renderable.resolved = null;
+			Renderable._internal.pendingRenders.delete(renderable);
+		}
+		Renderable._internal.profile_invalidation(renderable);
 		if(Renderable.isLocked(renderable))
 			return;
 
@@ -428,145 +1091,744 @@ const Renderable =
 		if(renderable._renderable.has_anchor)
 		{
 			// Temporarily reset so that one-shot child renderables do no longer count as anchored on their second use.
-			renderable._renderable.has_anchor = renderable._renderable.anchor.length != 0 || renderable._renderable.parents.some(p => p._renderable.has_anchor);
-			Renderable.render(renderable);
+			renderable._renderable.has_anchor = renderable._renderable.anchor.length != 0 || !!renderable._renderable.sink || renderable._renderable.parents.some(p => p._renderable.has_anchor);
+			Renderable._internal.schedule(renderable);
 		} else
 			// Even if currently unanchored, at least mark parents as dirty, in case the anchor is restored later. Parents are detached from children before rendering, so all still linked parents have not discarded this renderable since it was last rendered. Invalidating parents will not cause a re-render if the entire tree is unanchored.
 			// TODO: figure out whether this leaks interactive parents, and figure out why this is even necessary.
 			renderable._renderable.parents.forEach(Renderable.invalidate);
 	},
 
-	use(renderable)
+	/** Performs modifications without rendering in between.
+		All renderables invalidated while `perform` runs are rendered once it returns, regardless of `Renderable.config.schedule`. Batches can be nested, in which case only the outermost batch renders.
+	@param perform:
+		The function performing the modifications.
+	@return
+		The return value of `perform`. */
+	batch(perform)
 	{
-		const rthis = renderable._renderable;
-		const renderstack = Renderable._internal.renderstack;
-		if(renderstack.length)
-		{
-			let last = renderstack.at(-1);
-			if(!rthis.parents.includes(last))
+		const scheduler = Renderable._internal.scheduler;
+		++scheduler.batches;
+		try {
+			return perform();
+		} finally {
+			if(!--scheduler.batches)
 			{
-				rthis.parents.push(last);
-				last._renderable.dirty = true;
+				Renderable._internal.close_history_groups();
+				Renderable._internal.flush();
 			}
-			if(last._renderable.has_anchor)
-				rthis.has_anchor = true;
-
-			// Prevent interactive renderables from being garbage-collected before the next re-render of the parent.
-			let lastChildren = last._renderable.children;
-			if(!lastChildren.includes(renderable))
-				lastChildren.push(renderable);
-			last._renderable.has_anchor ||= rthis.has_anchor;
 		}
-		return renderable;
 	},
 
-	_internal:
+	/** Immediately renders all renderables whose re-render is still pending.
+	@return
+		A promise that resolves once the document is up to date, including the results of asynchronous `render()` functions. */
+	flush()
 	{
-		specialAttrs: (() => {
-			const boolAttr = (name) => (e) => {
-				const v = e.getAttribute(name);
-				switch(v) {
-				case null:
-				case "false":
-					e[name] = false; break;
-				case "":
-				case "true":
-				case name:
-					e[name] = true; break;
-				}
-			};
-			const genericAttr = (name) => (e) => {
-				e[name] = e.getAttribute(name);
-			};
-			return {
-				checked: boolAttr("checked"),
-				selected: boolAttr("selected"),
-				value: genericAttr("value")
-			};
-		})(),
+		Renderable._internal.flush();
+		const pending = Renderable._internal.pendingRenders;
+		if(!pending.size)
+			return Promise.resolve();
+		return Promise.allSettled(Array.from(pending.values())).then(() => Renderable.flush());
+	},
 
-		/** Replaces `anchor` with `update` by replacing only affected parts of the DOM. */
-		replace(update, anchor, clone)
+	/** Describes the current state of a renderable object and all its children, for debugging.
+	@param renderable:
+		Optional: The renderable object to inspect. By default, all renderable objects with string anchors that are not used by other renderable objects are inspected.
+	@return
+		An object containing the `renderable`, its `anchor`, `scope` name, tracking `id`, its `dirty`, `locked`, `has_anchor`, `mounted` and `destroyed` state, the current values of its `fields`, and the inspected `children`. Children that already appeared further up in the tree are only listed with their `renderable` and `cycle: true`. Without `renderable`, returns an array of them. */
+	inspect(renderable)
+	{
+		if(renderable === undefined)
 		{
-			let cui = 0;
-			let cu = update[cui];
-			let ca = anchor.firstChild;
+			const roots = [];
+			for(const scope of Renderable._internal.scopes.values())
+				for(const name in scope)
+					if(!scope[name]._renderable.parents.length)
+						roots.push(Renderable.inspect(scope[name]));
+			return roots;
+		}
 
-			while(cu && ca)
-			{
-				const na = ca.nextSibling;
-				if(cu.isEqualNode(ca)) {
-					;
-				} else if(ca.nodeType !== cu.nodeType
-				|| ca.nodeValue !== cu.nodeValue)
-				{
-					anchor.replaceChild(clone ? cu.cloneNode(true) : cu, ca);
-				} else if(ca.nodeType === Node.ELEMENT_NODE)
-				{
-					// Ensure both nodes have the same tag name.
-					if(ca.tagName !== cu.tagName)
-					{
-						// Workaround for changing an element's tag name.
-						let dummy = document.createElementNS(cu.namespaceURI, cu.localName);
-						dummy.replaceChildren(...ca.childNodes);
-						ca.replaceWith(dummy);
-						ca = dummy;
-					}
+		Renderable.assertRenderable(renderable);
+		const inspect = (renderable, path) => {
+			if(path.has(renderable))
+				return { renderable, cycle: true };
+			const rthis = renderable._renderable;
+			const fields = {};
+			for(const name of rthis.values)
+				fields[name] = Renderable._internal.toRaw(renderable[name]);
+			path.add(renderable);
+			const children = rthis.children.map(child => inspect(child, path));
+			path.delete(renderable);
+			return {
+				renderable,
+				anchor: rthis.anchor,
+				scope: Renderable._internal.scopeInfo.get(rthis.scope).name,
+				id: rthis.id,
+				dirty: rthis.dirty,
+				locked: rthis.locked,
+				has_anchor: rthis.has_anchor,
+				mounted: rthis.mounted,
+				destroyed: !!rthis.destroyed,
+				fields,
+				children
+			};
+		};
+		return inspect(renderable, new Set());
+	},
 
-					// Remove all attributes that are not in the update.
-					for(let i = 0; i < ca.attributes.length;)
-					{
-						const attr = ca.attributes.item(i);
-						if(!cu.attributes.getNamedItem(attr.name)) {
-							ca.attributes.removeNamedItem(attr.name);
-							const handler = Renderable._internal.specialAttrs[attr.name];
-							handler?.(ca);
-						} else i++;
-					}
+	/** Returns the statistics recorded for a renderable object while `Renderable.config.profile` was set.
+	@param renderable:
+		The renderable object.
+	@return
+		An object containing how often the renderable object was rendered (`renders`) and how often that changed its contents (`changes`), the total time in milliseconds spent in its `render()` function (`renderTime`) and updating the document (`domTime`), and its most recent `invalidations`. Each invalidation contains its `time`, and the renderable object (`owner`) and the name of its property (`field`) whose modification caused it. If it was caused by a re-rendered child, `field` is null and `owner` is the child. For direct calls to Renderable.invalidate, both are null. */
+	profile(renderable)
+	{
+		Renderable.assertRenderable(renderable);
+		return Renderable._internal.profile_of(renderable);
+	},
 
-					// Add all attributes that are not in the anchor.
-					for(let attr of cu.attributes)
-					{
-						let attrca = ca.attributes.getNamedItem(attr.name);
-						if(!attrca)
-						{
-							attrca = document.createAttributeNS(attr.namespaceURI, attr.localName);
+	/** Discards all statistics recorded while profiling. */
+	resetProfile()
+	{
+		Renderable._internal.profiles = new WeakMap();
+	},
 
-							attrca.value = attr.value;
-							ca.attributes.setNamedItem(attrca);
-						} else if(attrca.value !== attr.value)
-						{
-							attrca.value = attr.value;
-						}
+	/** Registers a formatter for document placeholders.
+		Formatters are applied to a placeholder's value by appending them with a pipe, optionally with additional arguments in JSON syntax: `${render.time | time}` or `${render.cart.total | currency("EUR")}`.
+	@param name:
+		The formatter's name.
+	@param format:
+		A function taking the value and the additional arguments, and returning the formatted value. The result is escaped, unless it is a renderable object or a Renderable.html result. */
+	formatter(name, format)
+	{
+		if(!(format instanceof Function))
+			throw new Error("Expected formatter function.");
+		Renderable._internal.formatters[name] = format;
+	},
 
-						const handler = Renderable._internal.specialAttrs[attr.name];
-						handler?.(ca);
-					}
+	/** Creates a separate namespace for renderable objects with string anchors.
+		Renderable objects are added to the scope by passing it as `scope` parameter. The scope maps their anchor strings to them, just like the global render namespace, which is the default scope. In the document, the scope's objects are inserted via `${name.x}` placeholders instead of `${render.x}`, and rendered into elements with the name "name.x", but only within the scope's root element.
+	@param options:
+		An object containing options:
 
-					// Ensure that the contents match.
-					Renderable._internal.replace(cu.childNodes, ca, clone);
-				} else if(ca.nodeType === Node.TEXT_NODE)
+		* name:
+			The placeholder prefix of the scope. Must be unique.
+		* root:
+			Optional: The element containing the scope's placeholders and anchors. Defaults to the whole document.
+	@return
+		The scope object. */
+	createScope({name, root})
+	{
+		if(!/^[\w$-]+$/.test(name ?? ""))
+			throw new Error("Scope name must be a non-empty word!");
+		if(Renderable._internal.scopes.has(name))
+			throw new Error(`Duplicate scope '${name}' detected!`);
+
+		const scope = {};
+		Renderable._internal.scopes.set(name, scope);
+		Renderable._internal.scopeInfo.set(scope, { name, root: root ?? null });
+
+		// The document may already contain the scope's placeholders.
+		if(root && hasDom() && document.readyState !== "loading")
+			Renderable._internal.replace_placeholders(root);
+		return scope;
+	},
+
+	/** Tag function for template literals that escapes all interpolated values.
+		Values are escaped depending on whether they are interpolated into text or into an attribute; unquoted attribute values are quoted. Elsewhere within a tag, only attribute names (such as `disabled`) can be interpolated, and other values throw an error. Renderable objects, the results of Renderable.html and Renderable.raw are inserted as they are, arrays are inserted element-wise, and `null`, `undefined` and `false` are omitted. `render()` functions can return the result directly:
+
+			render() { return Renderable.html`<b title="${this.title}">${this.name}</b>`; }
+	@return
+		The HTML, which converts to a string. */
+	html(strings, ...values)
+	{
+		// Whether the current position is in text, in a tag, or in a quoted attribute value.
+		let context = "text";
+		const advance = (text) => {
+			for(let i = 0; i < text.length; i++)
+			{
+				const c = text[i];
+				switch(context)
 				{
-					if(ca.nodeValue !== cu.nodeValue)
-						ca.nodeValue = cu.nodeValue;
+				case "text":
+					if(c === '<' && /[a-zA-Z\/]/.test(text[i+1] ?? ""))
+						context = "tag";
+					break;
+				case "tag":
+					if(c === '"' || c === "'")
+						context = c;
+					else if(c === '>')
+						context = "text";
+					break;
+				default:
+					if(c === context)
+						context = "tag";
+				}
+			}
+		};
+
+		let html = strings[0];
+		advance(strings[0]);
+		for(let i = 0; i < values.length; i++)
+		{
+			let value;
+			if(context !== "tag")
+				value = Renderable._internal.escape(values[i], context !== "text");
+			else if(/=\s*$/.test(strings[i]))
+				value = `"${Renderable._internal.escape(values[i], true)}"`;
+			else
+				value = Renderable._internal.attribute_names(values[i]);
+			html += value + strings[i+1];
+			advance(strings[i+1]);
+		}
+
+		return new Renderable._internal.HTML(html);
+	},
+
+	/** Marks a string as HTML, so that Renderable.html does not escape it.
+	@param html:
+		The HTML string. Must not contain user-supplied content.
+	@return
+		The HTML, which converts to a string. */
+	raw(html)
+	{
+		return new Renderable._internal.HTML(String(html));
+	},
+
+	/** Renders a HTML document or a renderable object into a string, without needing a DOM.
+		All `${render.x}` placeholders in the document are replaced by the renderable object's HTML, wrapped into an anchor element just like in the browser. Placeholders are not replaced where they would not be replaced in the browser either (see Renderable._internal.ignore). Placeholders of renderable objects that do not exist yet are kept.
+	@param template:
+		The HTML document, or a renderable object.
+	@return
+		The rendered HTML. */
+	renderToString(template)
+	{
+		// Apply pending modifications first.
+		Renderable._internal.flush();
+
+		if(Renderable.isRenderable(template))
+			return Renderable._internal.html_of(template);
+
+		const forbidden = Renderable._internal.forbidden_tags;
+		// The open elements, and whether they disable substitution.
+		const stack = [];
+		const ignored = () => stack.length != 0 && stack.at(-1).ignore;
+
+		return Renderable._internal.scan_html(template, (token) => {
+			if("text" in token)
+				return ignored()
+					? token.text
+					: Renderable._internal.expand_placeholders(token.text);
+
+			if(token.end)
+			{
+				const open = stack.findLastIndex(e => e.tag === token.tag);
+				if(open !== -1)
+					stack.length = open;
+			} else if(token.tag && !token.void)
+			{
+				const attr = (name) => Renderable._internal.attribute(token.attrs, name);
+				let ignore = ignored();
+				const ignoreAttr = attr("data-renderablejs-ignore");
+				if((token.tag in forbidden || ignoreAttr !== null)
+				&& (ignoreAttr ?? "").toLowerCase() !== "no")
+					ignore = true;
+				if(Renderable._internal.is_anchor_name(attr("name")))
+					ignore = true;
+				stack.push({tag: token.tag, ignore});
+			}
+			return token.source;
+		});
+	},
+
+	use(renderable)
+	{
+		const rthis = renderable._renderable;
+		const renderstack = Renderable._internal.renderstack;
+		if(renderstack.length)
+		{
+			let last = renderstack.at(-1);
+			if(!rthis.parents.includes(last))
+			{
+				rthis.parents.push(last);
+				last._renderable.dirty = true;
+			}
+			if(last._renderable.has_anchor)
+				rthis.has_anchor = true;
+
+			// Prevent interactive renderables from being garbage-collected before the next re-render of the parent.
+			let lastChildren = last._renderable.children;
+			if(!lastChildren.includes(renderable))
+				lastChildren.push(renderable);
+			last._renderable.has_anchor ||= rthis.has_anchor;
+		}
+		return renderable;
+	},
+
+	/** Global settings.
+
+		* schedule:
+			When invalidated renderables are re-rendered. "microtask" (default) collects all invalidations and renders them once the current task finished, "frame" renders them before the next animation frame, and "sync" renders each invalidation immediately.
+		* hydrate:
+			Whether anchors that already have contents (because they were rendered by Renderable.renderToString on the server) are adopted as they are when their renderable is created, instead of being rendered again. Only the first change of a renderable updates its anchors. Interactive renderables have to be created in the same order as on the server, so that their IDs match.
+		* dev:
+			Enables development checks and warnings, such as differences between server-rendered and client-rendered HTML during hydration, or `render()` functions returning plain strings instead of Renderable.html results.
+		* slowRender:
+			Renderings that take longer than this many milliseconds cause a warning. Set to `Infinity` to disable the warning.
+		* profile:
+			Whether to record how often and how long each renderable object renders, and what invalidated it, see Renderable.profile and Renderable.onProfile.
+		* placeholder:
+			The HTML displayed while an asynchronous `render()` function did not finish yet, unless it set `settings.placeholder`.
+		* transitions:
+			Whether elements with a `data-transition` attribute run enter and leave transitions when they are inserted into or removed from the document, see Renderable._internal.transition. */
+	config:
+	{
+		schedule: "microtask",
+		hydrate: false,
+		dev: false,
+		slowRender: 10,
+		profile: false,
+		placeholder: "",
+		transitions: true
+	},
+
+	/** Optional: Called with each event recorded while `Renderable.config.profile` is set, for passing them on to external tools.
+		Events are objects with the `type` "render" (containing the `renderable`, the `render` and `dom` times in milliseconds, and whether its contents `changed`), or "invalidate" (containing the `renderable`, and the `owner` and `field` of the write that caused it, see Renderable.profile). */
+	onProfile: null,
+
+	/** Optional: Called with each error thrown while rendering, and the renderable object whose `render()` function threw it. Errors thrown by watcher callbacks (see Renderable.watch) are passed along with the renderable object whose property changed. Called even if an error boundary (see the `renderError` parameter of Renderable.create) handles the error. Without it, errors that are not handled by an error boundary are logged to the console when creating renderable objects or rendering scheduled updates. */
+	onError: null,
+
+	_internal:
+	{
+		specialAttrs: (() => {
+			const boolAttr = (name) => (e) => {
+				const v = e.getAttribute(name);
+				switch(v) {
+				case null:
+				case "false":
+					e[name] = false; break;
+				case "":
+				case "true":
+				case name:
+					e[name] = true; break;
 				}
+			};
+			const genericAttr = (name) => (e) => {
+				// Only assign changes, so that the caret of inputs does not move.
+				const v = e.getAttribute(name) ?? "";
+				if(e[name] !== v)
+					e[name] = v;
+			};
+			return {
+				checked: boolAttr("checked"),
+				selected: boolAttr("selected"),
+				value: genericAttr("value")
+			};
+		})(),
+
+		/** Replaces `anchor` with `update` by replacing only affected parts of the DOM.
+			Nodes are matched by their position, unless there are elements with a `data-key` attribute, see Renderable._internal.replace_keyed. */
+		replace(update, anchor, clone)
+		{
+			if(Array.prototype.some.call(update, node => Renderable._internal.key(node) !== null))
+				return Renderable._internal.replace_keyed(update, anchor, clone);
+
+			const internal = Renderable._internal;
+			let cui = 0;
+			let cu = update[cui];
+			let ca = internal.first_child(anchor);
 
+			while(cu && ca)
+			{
+				const na = internal.next_sibling(ca);
+				internal.patch(cu, ca, anchor, clone);
 				ca = na;
 				cu = update[++cui];
 			}
 
 			while(cu)
 			{
-				anchor.appendChild(clone ? cu.cloneNode(true) : cu);
+				internal.enter(anchor.appendChild(clone ? cu.cloneNode(true) : cu));
 				cu = update[++cui];
 			}
 
 			while(ca)
 			{
-				const na = ca.nextSibling;
-				anchor.removeChild(ca);
+				const na = internal.next_sibling(ca);
+				internal.remove(ca);
+				ca = na;
+			}
+		},
+
+		/** Replaces `anchor` with `update`, matching elements by their `data-key` attribute.
+			Keyed elements that still exist are moved to their new position instead of being replaced, so that they keep their state (such as focus and input). Nodes without key are matched by their position among the remaining nodes. */
+		replace_keyed(update, anchor, clone)
+		{
+			const internal = Renderable._internal;
+			const key = internal.key;
+			const keys = new Set(Array.prototype.map.call(update, key));
+			const keyed = new Map();
+			for(let node = internal.first_child(anchor); node;)
+			{
+				const next = internal.next_sibling(node);
+				const k = key(node);
+				// Remove keyed elements that are gone first, so that the elements after them keep their order and are not moved.
+				if(k !== null && !keys.has(k))
+					internal.remove(node);
+				else if(k !== null && !keyed.has(k))
+					keyed.set(k, node);
+				node = next;
+			}
+
+			// Keyed elements with transitions are animated to their new positions.
+			const positions = new Map();
+			for(const node of keyed.values())
+				if(node.isConnected && internal.transition_of(node))
+					positions.set(node, node.getBoundingClientRect());
+
+			// All nodes before `ca` are up to date.
+			let ca = internal.first_child(anchor);
+			for(const cu of Array.from(update))
+			{
+				const k = key(cu);
+				let match = null;
+				if(k !== null)
+				{
+					match = keyed.get(k) ?? null;
+					keyed.delete(k);
+				} else if(ca && key(ca) === null)
+					match = ca;
+
+				if(!match)
+				{
+					internal.enter(anchor.insertBefore(clone ? cu.cloneNode(true) : cu, ca));
+					continue;
+				}
+
+				if(match === ca)
+					ca = internal.next_sibling(ca);
+				else
+					anchor.insertBefore(match, ca);
+				internal.patch(cu, match, anchor, clone);
+			}
+
+			while(ca)
+			{
+				const na = internal.next_sibling(ca);
+				internal.remove(ca);
 				ca = na;
 			}
+
+			for(const [node, position] of positions)
+				if(node.parentNode === anchor && !internal.leaving.has(node))
+					internal.move(node, position);
+		},
+
+		/** Elements that are removed once their leave transition ended. The patcher treats them as if they were already removed. */
+		leaving: new WeakSet(),
+		/** The transition classes currently applied to each element, which the patcher keeps. */
+		transitionClasses: new WeakMap(),
+
+		/** Returns the first child of a node that is not leaving. */
+		first_child(node)
+		{
+			let child = node.firstChild;
+			while(child && Renderable._internal.leaving.has(child))
+				child = child.nextSibling;
+			return child;
+		},
+
+		/** Returns the next sibling of a node that is not leaving. */
+		next_sibling(node)
+		{
+			let sibling = node.nextSibling;
+			while(sibling && Renderable._internal.leaving.has(sibling))
+				sibling = sibling.nextSibling;
+			return sibling;
+		},
+
+		/** Returns the transition name of an element in the document (its `data-transition` attribute), or null if it has no transition. */
+		transition_of(node)
+		{
+			if(!Renderable.config.transitions
+			|| node.nodeType !== Node.ELEMENT_NODE
+			|| !node.isConnected
+			|| !node.hasAttribute("data-transition"))
+				return null;
+			return node.getAttribute("data-transition") || "transition";
+		},
+
+		/** Runs the enter transition of a node inserted by the patcher, if it has one. */
+		enter(node)
+		{
+			const name = Renderable._internal.transition_of(node);
+			if(name)
+				Renderable._internal.transition(node, name, "enter");
+		},
+
+		/** Removes a node, after running its leave transition, if it has one. */
+		remove(node)
+		{
+			const internal = Renderable._internal;
+			const name = internal.transition_of(node);
+			if(!name)
+			{
+				node.parentNode.removeChild(node);
+				return;
+			}
+
+			internal.leaving.add(node);
+			internal.transition(node, name, "leave", () => {
+				internal.leaving.delete(node);
+				node.remove();
+			});
+		},
+
+		/** Applies the classes of a transition phase ("enter" or "leave") to an element.
+			First, the `name-phase-from` and `name-phase-active` classes are added. In the next frame, the `from` class is replaced by the `name-phase-to` class. Once the transition ended, the classes are removed, and `done` is called. Starting another transition cancels the running one. */
+		transition(element, name, phase, done)
+		{
+			const internal = Renderable._internal;
+			const from = `${name}-${phase}-from`;
+			const active = `${name}-${phase}-active`;
+			const to = `${name}-${phase}-to`;
+
+			for(const running of internal.transitionClasses.get(element) ?? [])
+				element.classList.remove(running);
+			const classes = new Set([from, active]);
+			internal.transitionClasses.set(element, classes);
+			element.classList.add(from, active);
+			// Apply the initial styles before transitioning away from them.
+			void element.offsetWidth;
+
+			const current = () => internal.transitionClasses.get(element) === classes;
+			internal.next_frame(() => {
+				if(!current())
+					return;
+				classes.delete(from);
+				classes.add(to);
+				element.classList.remove(from);
+				element.classList.add(to);
+				internal.transition_end(element, () => {
+					if(!current())
+						return;
+					internal.transitionClasses.delete(element);
+					internal.remove_classes(element, active, to);
+					done?.();
+				});
+			});
+		},
+
+		/** Animates a keyed element from its previous position to its current position, using the `name-move` class for the transition. */
+		move(element, previous)
+		{
+			const internal = Renderable._internal;
+			const current = element.getBoundingClientRect();
+			const dx = previous.left - current.left;
+			const dy = previous.top - current.top;
+			if(!dx && !dy)
+				return;
+
+			const move = `${internal.transition_of(element)}-move`;
+			element.style.transform = `translate(${dx}px, ${dy}px)`;
+			element.style.transitionDuration = "0s";
+			void element.offsetWidth;
+			internal.next_frame(() => {
+				element.classList.add(move);
+				element.style.transform = "";
+				element.style.transitionDuration = "";
+				internal.transition_end(element, () => internal.remove_classes(element, move));
+			});
+		},
+
+		/** Removes classes from an element, and its class attribute if it became empty, so that it matches its rendered HTML again. */
+		remove_classes(element, ...classes)
+		{
+			element.classList.remove(...classes);
+			if(!element.classList.length)
+				element.removeAttribute("class");
+		},
+
+		/** Calls `callback` in the next animation frame, or soon outside of browsers. */
+		next_frame(callback)
+		{
+			if(globalScope.requestAnimationFrame)
+				globalScope.requestAnimationFrame(callback);
+			else
+				setTimeout(callback);
+		},
+
+		/** Calls `done` once an element's transition or animation ended, or once its duration elapsed without that happening. The duration is taken from the element's styles, or from its `data-transition-duration` attribute, in milliseconds. */
+		transition_end(element, done)
+		{
+			const attribute = element.getAttribute("data-transition-duration");
+			const duration = attribute !== null
+				? Number(attribute)
+				: Renderable._internal.transition_duration(element);
+			if(!(duration > 0))
+				return done();
+
+			let finished = false;
+			const finish = (e) => {
+				if(finished || (e && e.target !== element))
+					return;
+				finished = true;
+				element.removeEventListener("transitionend", finish);
+				element.removeEventListener("animationend", finish);
+				done();
+			};
+			element.addEventListener("transitionend", finish);
+			element.addEventListener("animationend", finish);
+			// Some transitions never end, such as those of hidden elements.
+			setTimeout(() => finish(), duration + 50);
+		},
+
+		/** Returns the longest transition or animation duration (including its delay) of an element's computed style, in milliseconds. */
+		transition_duration(element)
+		{
+			const style = globalScope.getComputedStyle?.(element);
+			if(!style)
+				return 0;
+			const times = (value) => (value || "0s").split(",").map(
+				time => parseFloat(time) * (time.trim().endsWith("ms") ? 1 : 1000) || 0);
+			const longest = (durations, delays) => Math.max(0,
+				...durations.map((duration, i) => duration + delays[i % delays.length]));
+			return Math.max(
+				longest(times(style.transitionDuration), times(style.transitionDelay)),
+				longest(times(style.animationDuration), times(style.animationDelay)));
+		},
+
+		/** Returns the `data-key` attribute of a node, or null if it has none. */
+		key(node)
+		{
+			return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute("data-key") : null;
+		},
+
+		/** Updates the node `ca` within `anchor` so that it matches `cu`. */
+		patch(cu, ca, anchor, clone)
+		{
+			if(cu.isEqualNode(ca)) {
+				;
+			} else if(ca.nodeType !== cu.nodeType
+			|| ca.nodeValue !== cu.nodeValue)
+			{
+				anchor.replaceChild(clone ? cu.cloneNode(true) : cu, ca);
+			} else if(ca.nodeType === Node.ELEMENT_NODE)
+			{
+				// Ensure both nodes have the same tag name.
+				if(ca.tagName !== cu.tagName)
+				{
+					// Workaround for changing an element's tag name.
+					let dummy = document.createElementNS(cu.namespaceURI, cu.localName);
+					dummy.replaceChildren(...ca.childNodes);
+					ca.replaceWith(dummy);
+					ca = dummy;
+				}
+
+				// Remove all attributes that are not in the update.
+				for(let i = 0; i < ca.attributes.length;)
+				{
+					const attr = ca.attributes.item(i);
+					if(!cu.attributes.getNamedItem(attr.name)) {
+						ca.attributes.removeNamedItem(attr.name);
+						const handler = Renderable._internal.specialAttrs[attr.name];
+						handler?.(ca);
+					} else i++;
+				}
+
+				// Add all attributes that are not in the anchor.
+				for(let attr of cu.attributes)
+				{
+					let attrca = ca.attributes.getNamedItem(attr.name);
+					if(!attrca)
+					{
+						attrca = document.createAttributeNS(attr.namespaceURI, attr.localName);
+
+						attrca.value = attr.value;
+						ca.attributes.setNamedItem(attrca);
+					} else if(attrca.value !== attr.value)
+					{
+						attrca.value = attr.value;
+					}
+
+					const handler = Renderable._internal.specialAttrs[attr.name];
+					handler?.(ca);
+				}
+
+				// Keep the classes of running transitions.
+				for(const name of Renderable._internal.transitionClasses.get(ca) ?? [])
+					ca.classList.add(name);
+
+				// Ensure that the contents match.
+				Renderable._internal.replace(cu.childNodes, ca, clone);
+
+				// Once edited, text areas no longer display their contents. Bound ones display their field, but unbound ones keep the user's input.
+				if(ca.tagName === "TEXTAREA"
+				&& ca.hasAttribute("data-bind")
+				&& ca.value !== ca.defaultValue)
+					ca.value = ca.defaultValue;
+			} else if(ca.nodeType === Node.TEXT_NODE)
+			{
+				if(ca.nodeValue !== cu.nodeValue)
+					ca.nodeValue = cu.nodeValue;
+			}
+		},
+
+		/** Renderable objects that were removed from their parents while mounted. */
+		orphans: new Set(),
+
+		/** Calls the mounted and updated hooks of a renderable object and its children, after its DOM was written into the document. */
+		mounted(renderable, visited)
+		{
+			if(visited.has(renderable))
+				return;
+			visited.add(renderable);
+
+			const rthis = renderable._renderable;
+			for(const child of rthis.children)
+				Renderable._internal.mounted(child, visited);
+
+			const updated = rthis.updated;
+			rthis.updated = false;
+			if(!rthis.mounted)
+			{
+				rthis.mounted = true;
+				Renderable._internal.orphans.delete(renderable);
+				rthis.hooks.mounted?.call(renderable);
+			} else if(updated)
+				rthis.hooks.updated?.call(renderable);
+		},
+
+		/** Calls the unmounted hooks of a renderable object and all its children that are not displayed elsewhere. */
+		unmount(renderable)
+		{
+			const rthis = renderable._renderable;
+			if(!rthis.mounted)
+				return;
+			rthis.mounted = false;
+
+			for(const child of rthis.children)
+			{
+				const rchild = child._renderable;
+				if(!rchild.anchor.length
+				&& rchild.parents.every(p => p === renderable || !p._renderable.mounted))
+					Renderable._internal.unmount(child);
+			}
+			rthis.hooks.unmounted?.call(renderable);
+		},
+
+		/** Unmounts all orphans that were not adopted by another parent in the meantime. */
+		unmount_orphans()
+		{
+			const orphans = Renderable._internal.orphans;
+			for(const orphan of Array.from(orphans))
+			{
+				orphans.delete(orphan);
+				if(!orphan._renderable.parents.length)
+					Renderable._internal.unmount(orphan);
+			}
 		},
 
 		/** The default render function that is assigned to each renderable object. */
@@ -587,7 +1849,8 @@ const Renderable =
 				rthis.rendering = true;
 				rthis.dirty = false;
 				// Remove this node as parent from all previous rendering's children.
-				for(const child of rthis.children)
+				const prev_children = rthis.children;
+				for(const child of prev_children)
 					child._renderable.parents = child._renderable.parents.filter(p => p !== this);
 				// Clear the children list for repopulation, release last rendering's temporary children for garbage collection.
 				rthis.children = [];
@@ -600,22 +1863,71 @@ const Renderable =
 					rthis.inline ||= settings.inline;
 				};
 				// Ignore render placeholders within the output.
-				let new_html = Renderable.with(this, ()=> rthis.render.call(this, setter));
-				let changed = (rthis.cache !== new_html);
+				let new_html;
+				if(rthis.resolved)
+				{
+					// The result of the last asynchronous rendering, see Renderable._internal.await_render.
+					new_html = rthis.resolved.html;
+					rthis.resolved = null;
+				} else try {
+					new_html = Renderable.with(this, ()=> Renderable._internal.collect(rthis.effect,
+						() => rthis.render.call(this, setter)));
+				} catch(error) {
+					rthis.rendering = false;
+					// The next successful rendering has to count as a change, even if it produces the last good output again.
+					rthis.cache = null;
+					Renderable._internal.report(error, this);
+					if(!rthis.renderError)
+					{
+						// Retry on the next rendering.
+						rthis.dirty = true;
+						throw error;
+					}
+					new_html = rthis.renderError.call(this, error);
+				}
+				if(typeof new_html?.then === "function")
+					new_html = Renderable._internal.await_render(this, new_html);
+				if(new_html instanceof Renderable._internal.HTML)
+					new_html = new_html.html;
+				else if(Renderable.config.dev
+				&& !rthis.warned_unescaped
+				&& typeof new_html === "string"
+				&& new_html.includes("<"))
+				{
+					rthis.warned_unescaped = true;
+					console.warn("render() returned a plain string, so its interpolated values are not escaped. Use the Renderable.html template tag instead:", new_html);
+				}
+				// Without DOM, interactive renderables are annotated directly in the HTML, so that they can be hydrated.
+				if(!hasDom() && rthis.id !== undefined)
+					new_html = Renderable._internal.annotate(new_html, rthis.id);
+				// Bound form elements display field values that are not part of the HTML.
+				let changed = (rthis.cache !== new_html) || rthis.bind_id !== undefined;
 				if(obj)
 					obj.changed = changed || rthis.dirty;
 				rthis.cache = new_html;
 				rthis.rendering = false;
 
+				// Children that are no longer displayed anywhere are unmounted once the document is updated.
+				for(const child of prev_children)
+				{
+					const rchild = child._renderable;
+					if(rchild.mounted
+					&& !rchild.parents.length
+					&& !rchild.anchor.length)
+						Renderable._internal.orphans.add(child);
+					Renderable._internal.release(child);
+				}
+
 				// Mark all parents as dirty, so they have to update their DOM cache.
 				if(changed || rthis.dirty)
 				{
 					rthis.parents.forEach(p => p._renderable.dirty = true);
 					rthis.dirty = false;
+					rthis.updated = true;
 
 					// A child invalidated us, update DOM.
-					if(hasDom() && !rthis.inline)
-						Renderable._internal.generate_dom_children(rthis);
+					if(hasDom() && !rthis.inline && !rthis.hydrating)
+						Renderable._internal.generate_dom_children(rthis, this);
 				}
 			}
 
@@ -627,7 +1939,7 @@ const Renderable =
 			if(rthis.inline)
 				return rthis.cache;
 			else if(rparent.inline)
-				return rthis.DOM.map(x => x.outerHTML).join("");
+				return Renderable._internal.serialize(rthis.DOM);
 			else
 			{
 				const childIdx = renderstack.at(-1)._renderable.children.indexOf(this);
@@ -640,26 +1952,446 @@ const Renderable =
 			}
 		},
 
-		generate_dom_children(rthis) {
-			// Orphan all previous DOM nodes for garbage collection.
-			if(rthis.DOM?.fresh === false)
-				rthis.DOM.forEach(el => el.parentNode?.removeChild(el));
+		/** The renderable objects created by Renderable.fill for slot contents that were not renderable. */
+		slotWrappers: new WeakSet(),
 
-			const root = document.createElement(rthis.container ?? "span");
-			root.innerHTML = rthis.cache;
+		/** Maps component names to their factories, see Renderable.define. */
+		components: new Map(),
+		primitiveTypes: new Map([[String, "string"], [Number, "number"], [Boolean, "boolean"], [Symbol, "symbol"], [BigInt, "bigint"]]),
 
-			const anchors = rthis.children.length ?
-				root.querySelectorAll("*[data-renderablejs-child]") :
-				[];
+		/** Checks the properties passed to a component against its declared properties, and applies their defaults.
+		@return
+			The properties of the new instance. */
+		props(component, declared, given)
+		{
+			if(declared === undefined)
+				return { ...given };
+			if(Array.isArray(declared))
+				declared = Object.fromEntries(declared.map(name => [name, {}]));
 
-			for(let a of anchors)
+			for(const name in given)
+				if(!(name in declared))
+					console.warn(`${component}: Unknown prop '${name}' ignored.`);
+
+			const props = {};
+			for(const name in declared)
 			{
-				let child = parseInt(a.getAttribute("data-renderablejs-child"));
-				const rchild = rthis.children[child]._renderable;
+				let spec = declared[name] ?? {};
+				if(spec instanceof Function || Array.isArray(spec))
+					spec = { type: spec };
 
-				// If a renderable only has one parent, its DOM is simply integrated. Otherwise, it has to be cloned into subsequent parents.
-				const nodes = rchild.DOM.map(n =>
-					(rchild.DOM.fresh) ? n : n.cloneNode(true));
+				let value = given[name];
+				if(value === undefined || (value === null && !spec.required))
+				{
+					if(value === undefined && spec.required)
+						throw new Error(`${component}: Missing required prop '${name}'.`);
+					if(value === undefined)
+						value = (spec.default instanceof Function && spec.type !== Function)
+							? spec.default()
+							: spec.default;
+				} else
+				{
+					const types = [spec.type ?? []].flat();
+					if(types.length && !types.some(type => Renderable._internal.is_type(value, type)))
+						throw new Error(`${component}: Prop '${name}' must be of type ${types.map(type => type.name).join(" or ")}.`);
+					if(spec.validator && !spec.validator(value))
+						throw new Error(`${component}: Invalid value for prop '${name}'.`);
+				}
+				props[name] = value;
+			}
+			return props;
+		},
+
+		/** Converts an attribute value to a component property of the declared type, see Renderable.defineElement. */
+		attribute_prop(value, spec)
+		{
+			if(value === null)
+				return undefined;
+			switch((spec instanceof Function) ? spec : spec?.type)
+			{
+			case Number: return Number(value);
+			case Boolean: return value !== "false";
+			default: return value;
+			}
+		},
+
+		/** Checks whether a value is of a property type, see Renderable.define. */
+		is_type(value, type)
+		{
+			const primitive = Renderable._internal.primitiveTypes.get(type);
+			if(primitive)
+				return typeof value === primitive || value instanceof type;
+			return value instanceof type;
+		},
+
+		/** Maps scope names to scopes, see Renderable.createScope. */
+		scopes: new Map([["render", render]]),
+		/** The name and root element of each scope. */
+		scopeInfo: new WeakMap([[render, { name: "render", root: null }]]),
+
+		/** Matches anchor placeholders, capturing the scope name and anchor string. */
+		placeholder_pattern()
+		{
+			return /\$\{([\w$-]+)\.(.+?)\}/g;
+		},
+
+		/** Returns the scope with the given name, if it exists and its root contains `node`. */
+		scope_of(name, node)
+		{
+			const scope = Renderable._internal.scopes.get(name);
+			const root = scope && Renderable._internal.scopeInfo.get(scope).root;
+			if(!scope || (root && !root.contains(node)))
+				return null;
+			return scope;
+		},
+
+		/** The formatters registered via Renderable.formatter. */
+		formatters: {},
+		/** Placeholder renderables waiting for renderable objects that do not exist yet, by scope and anchor string. */
+		waiting: new WeakMap(),
+
+		/** Parses the contents of a placeholder ("name.field.path | formatter | formatter(args)").
+		@return
+			The placeholder's anchor string, field path and formatters, or null if it is malformed. */
+		parse_placeholder(source, contents)
+		{
+			const [target, ...pipes] = contents.split("|").map(part => part.trim());
+			const [name, ...path] = target.split(".");
+			const placeholder = { source, name, path, pipes: [] };
+			for(const pipe of pipes)
+			{
+				const match = /^([\w$-]+)\s*(?:\((.*)\))?$/s.exec(pipe);
+				if(!match)
+					return null;
+				try {
+					placeholder.pipes.push({ name: match[1], args: JSON.parse(`[${match[2] ?? ""}]`) });
+				} catch {
+					return null;
+				}
+			}
+			return placeholder;
+		},
+
+		/** Computes the value of a parsed placeholder by following its field path and applying its formatters. */
+		evaluate(placeholder, scope)
+		{
+			let value = scope[placeholder.name];
+			for(const key of placeholder.path)
+				value = value?.[key];
+			for(const { name, args } of placeholder.pipes)
+			{
+				const format = Renderable._internal.formatters[name];
+				if(format)
+					value = format(value, ...args);
+				else
+					console.warn(`Unknown formatter '${name}' in ${placeholder.source}.`);
+			}
+			return value;
+		},
+
+		/** Displays the value of a placeholder with a field path or formatters in an anchor element, and keeps it up to date. */
+		bind_placeholder(placeholder, scope, anchor)
+		{
+			// Re-render whenever any of the read fields change.
+			const dependencies = {
+				sources: new Set(),
+				notify() { Renderable.invalidate(binding); }
+			};
+			const binding = Renderable.create({}, {
+				render()
+				{
+					if(!(placeholder.name in scope))
+					{
+						Renderable._internal.wait_for(scope, placeholder.name, this);
+						return Renderable._internal.escape(placeholder.source, false);
+					}
+
+					return Renderable._internal.collect(dependencies, () =>
+						Renderable._internal.escape(Renderable._internal.evaluate(placeholder, scope), false));
+				},
+				anchor: [anchor]
+			});
+			return binding;
+		},
+
+		/** The placeholder renderables of each element's attributes and the values they last wrote, by attribute name. */
+		attributeBindings: new WeakMap(),
+
+		/** Keeps an attribute containing placeholders up to date with the placeholders' values.
+			The attribute's value is the text of the placeholders' HTML. */
+		bind_attribute(element, name)
+		{
+			const template = element.getAttribute(name);
+			const pattern = Renderable._internal.placeholder_pattern();
+			if(!template?.includes("${")
+			|| !Array.from(template.matchAll(pattern)).some(match =>
+				Renderable._internal.scope_of(match[1], element)))
+				return;
+
+			const bindings = Renderable._internal.attributeBindings;
+			if(!bindings.has(element))
+				bindings.set(element, new Map());
+			// Unless the attribute was changed from the outside, it is already bound.
+			const previous = bindings.get(element).get(name);
+			if(previous?.value === template)
+				return;
+			if(previous)
+				Renderable.destroy(previous.binding);
+			const record = { binding: null, value: null };
+			bindings.get(element).set(name, record);
+
+			const dependencies = {
+				sources: new Set(),
+				notify() { Renderable.invalidate(binding); }
+			};
+			const binding = Renderable.create({}, {
+				render(settings)
+				{
+					// Children have to be rendered as HTML instead of placeholder tags.
+					settings({inline: true});
+					return Renderable._internal.collect(dependencies, () =>
+						template.replace(pattern, (source, scopeName, contents) => {
+							const scope = Renderable._internal.scope_of(scopeName, element);
+							const placeholder = scope && Renderable._internal.parse_placeholder(source, contents);
+							if(!placeholder)
+								return source;
+							if(!(placeholder.name in scope))
+							{
+								Renderable._internal.wait_for(scope, placeholder.name, this);
+								return source;
+							}
+							return Renderable._internal.escape(Renderable._internal.evaluate(placeholder, scope), false);
+						}));
+				},
+				sink(html)
+				{
+					const text = document.createElement("template");
+					text.innerHTML = html;
+					record.value = text.content.textContent;
+					element.setAttribute(name, record.value);
+					Renderable._internal.specialAttrs[name]?.(element);
+				}
+			});
+			record.binding = binding;
+		},
+
+		/** Re-renders a renderable once a renderable object with the given anchor string is added to the scope. */
+		wait_for(scope, name, renderable)
+		{
+			const waiting = Renderable._internal.waiting;
+			if(!waiting.has(scope))
+				waiting.set(scope, new Map());
+			if(!waiting.get(scope).has(name))
+				waiting.get(scope).set(name, new Set());
+			waiting.get(scope).get(name).add(renderable);
+		},
+
+		/** Whether an element name is the name of an anchor element ("scope.x"). */
+		is_anchor_name(name)
+		{
+			const match = /^([\w$-]+)\../.exec(name ?? "");
+			return !!match && Renderable._internal.scopes.has(match[1]);
+		},
+
+		/** Returns the elements a renderable object is rendered into. */
+		anchor_elements(renderable)
+		{
+			const rthis = renderable._renderable;
+			if(typeof rthis.anchor !== 'string')
+				return rthis.anchor;
+			if(!hasDom())
+				return [];
+
+			const { name, root } = Renderable._internal.scopeInfo.get(rthis.scope);
+			const elementName = `${name}.${rthis.anchor}`;
+			return root
+				? Array.from(root.querySelectorAll("[name]")).filter(e => e.getAttribute("name") === elementName)
+				: document.getElementsByName(elementName);
+		},
+
+		/** Counter for the IDs of non-interactive renderable objects with bound form elements. */
+		bindCounter: 0,
+		/** The document-level listener writing form input back into bound fields. */
+		bindListener: null,
+
+		/** Parses a data-bind attribute ("field.path | modifier | ...") into the field path and its modifiers. */
+		binding(element)
+		{
+			const [path, ...modifiers] = element.getAttribute("data-bind").split("|").map(x => x.trim());
+			return { path: path.split("."), modifiers };
+		},
+
+		/** Displays the values of bound fields in form elements, and marks them with their renderable object's ID so that input can be written back, see Renderable._internal.bind_listener. */
+		bind_elements(elements, renderable)
+		{
+			const rthis = renderable._renderable;
+			if(rthis.bind_id === undefined)
+			{
+				rthis.bind_id = rthis.id ?? `b${Renderable._internal.bindCounter++}`;
+				Renderable._internal.uniqueRenderables[rthis.bind_id] ??= new WeakRef(renderable);
+			}
+
+			if(!Renderable._internal.bindListener)
+			{
+				const listener = Renderable._internal.bindListener = (e) => Renderable._internal.bind_listener(e);
+				for(const type of ["input", "change"])
+					Renderable._internal.add_listener(type, listener);
+			}
+
+			const setFlag = (element, name, value) => value
+				? element.setAttribute(name, "")
+				: element.removeAttribute(name);
+
+			for(const element of elements)
+			{
+				element.setAttribute("data-renderable-bind", rthis.bind_id);
+				const value = Renderable._internal.binding(element).path.reduce((o, key) => o?.[key], renderable);
+
+				switch(element.tagName === "INPUT" ? element.type : element.tagName)
+				{
+				case "checkbox":
+					setFlag(element, "checked", value instanceof Array
+						? value.includes(element.value)
+						: value);
+					break;
+				case "radio":
+					setFlag(element, "checked", String(value) === element.value);
+					break;
+				case "SELECT":
+					for(const option of element.options)
+						setFlag(option, "selected", element.multiple
+							? (value ?? []).includes(option.value)
+							: String(value) === option.value);
+					break;
+				case "TEXTAREA":
+					element.textContent = value ?? "";
+					break;
+				default:
+					element.setAttribute("value", value ?? "");
+				}
+			}
+		},
+
+		/** Writes user input into the fields bound to form elements. */
+		bind_listener(e)
+		{
+			if(Renderable._internal.handled(e, "bind"))
+				return;
+			const element = e.composedPath?.()[0] ?? e.target;
+			const owner = element?.getAttribute?.("data-renderable-bind");
+			const renderable = owner && Renderable._internal.uniqueRenderables[owner]?.deref();
+			if(!renderable || !element.hasAttribute("data-bind"))
+				return;
+
+			const { path, modifiers } = Renderable._internal.binding(element);
+			const type = (element.tagName === "INPUT") ? element.type : element.tagName;
+			const immediate = !modifiers.includes("lazy")
+				&& !["checkbox", "radio", "SELECT"].includes(type);
+			if((e.type === "input") !== immediate)
+				return;
+
+			const field = path.pop();
+			const target = path.reduce((o, key) => o?.[key], renderable);
+			if(!target)
+				return;
+
+			const coerce = (value) => {
+				for(const modifier of modifiers)
+					switch(modifier)
+					{
+					case "trim":
+						value = value.trim();
+						break;
+					case "number":
+						const number = parseFloat(value);
+						if(!isNaN(number))
+							value = number;
+						break;
+					case "boolean":
+						value = (value === "true" || value === "on");
+						break;
+					}
+				return value;
+			};
+
+			switch(type)
+			{
+			case "checkbox":
+				if(target[field] instanceof Array)
+				{
+					const values = target[field].filter(v => v !== coerce(element.value));
+					if(element.checked)
+						values.push(coerce(element.value));
+					target[field] = values;
+				} else
+					target[field] = element.checked;
+				break;
+			case "radio":
+				if(element.checked)
+					target[field] = coerce(element.value);
+				break;
+			case "SELECT":
+				target[field] = element.multiple
+					? Array.from(element.selectedOptions, option => coerce(option.value))
+					: coerce(element.value);
+				break;
+			default:
+				target[field] = coerce(element.value);
+			}
+		},
+
+		/** Adopts the server-rendered contents of a renderable object's anchors as its DOM, see Renderable.config.hydrate.
+			In development mode, warns about differences to the client-side rendering, and replaces the server-rendered contents if they differ. */
+		hydrate(renderable, anchor)
+		{
+			const rthis = renderable._renderable;
+			const server = Array.from(anchor[0].childNodes, node => node.cloneNode(true));
+			server.fresh = true;
+			rthis.DOM = server;
+			if(!Renderable.config.dev || rthis.inline)
+				return;
+
+			Renderable._internal.generate_dom_children(rthis, renderable);
+			const client = rthis.DOM;
+			if(server.length === client.length
+			&& server.every((node, i) => node.isEqualNode(client[i])))
+				return;
+
+			const html = (nodes) => nodes.map(n => n.outerHTML ?? n.nodeValue).join("");
+			console.warn(`Hydration mismatch in ${
+					typeof rthis.anchor === 'string'
+						? `${Renderable._internal.scopeInfo.get(rthis.scope).name}.${rthis.anchor}`
+						: "anchored renderable"
+				}:\nserver: ${html(server)}\nclient: ${html(client)}`);
+			for(let i = 0; i < anchor.length; i++)
+				Renderable._internal.replace(client, anchor[i], true);
+		},
+
+		generate_dom_children(rthis, renderable) {
+			// Orphan all previous DOM nodes for garbage collection.
+			if(rthis.DOM?.fresh === false)
+				rthis.DOM.forEach(el => el.parentNode?.removeChild(el));
+
+			const root = document.createElement(rthis.container ?? "span");
+			root.innerHTML = rthis.cache;
+
+			// Bind form elements before the children's elements are inserted.
+			const bound = root.querySelectorAll("[data-bind]");
+			if(bound.length)
+				Renderable._internal.bind_elements(bound, renderable);
+
+			const anchors = rthis.children.length ?
+				root.querySelectorAll("*[data-renderablejs-child]") :
+				[];
+
+			for(let a of anchors)
+			{
+				let child = parseInt(a.getAttribute("data-renderablejs-child"));
+				const rchild = rthis.children[child]._renderable;
+
+				// If a renderable only has one parent, its DOM is simply integrated. Otherwise, it has to be cloned into subsequent parents.
+				const nodes = rchild.DOM.map(n =>
+					(rchild.DOM.fresh) ? n : n.cloneNode(true));
 				rchild.DOM.fresh = false;
 				a.replaceWith(...nodes);
 			}
@@ -668,7 +2400,9 @@ const Renderable =
 			if(rthis.id !== undefined) {
 				for(let tag of root.children) {
 					let ids = tag.dataset?.renderableId?.split(",") ?? [];
-					ids.push(rthis.id);
+					// Reused child DOM may already carry the ID.
+					if(!ids.includes(String(rthis.id)))
+						ids.push(rthis.id);
 					tag.dataset.renderableId = ids.join();
 				}
 			}
@@ -678,7 +2412,7 @@ const Renderable =
 			rthis.DOM.fresh = true;
 		},
 
-		/** Replaces anchor placeholders (${render.anchor} strings) with anchor tags in a node. */
+		/** Replaces anchor placeholders (${render.anchor} strings, or ${scope.anchor} strings for scopes) with anchor tags in a node. */
 		replace_placeholders(node)
 		{
 			if(Renderable._internal.ignore(node))
@@ -688,22 +2422,18 @@ const Renderable =
 			{
 			case Node.TEXT_NODE:
 				{
-					const regex = /\$\{render\.(.+?)\}/g;
+					const regex = Renderable._internal.placeholder_pattern();
 					let match;
-					if((match = regex.exec(node.nodeValue)) !== null)
+					let scope;
+					// Skip placeholders of unknown scopes, or of scopes whose root does not contain the node.
+					while((match = regex.exec(node.nodeValue)) !== null
+					&& !(scope = Renderable._internal.scope_of(match[1], node)))
+						;
+					if(match !== null)
 					{
-						let name = match[1];
+						let name = match[2];
 						let anchor = document.createElement("X-RENDERABLEJS-IGNORE");
-						anchor.setAttribute("name", "render." + match[1]);
-						if(name in render)
-						{
-							anchor.innerHTML = render[name].render();
-							if(render[name]._renderable.anchor instanceof Array)
-								render[name]._renderable.anchor.push(anchor);
-						} else
-						{
-							anchor.innerHTML = `\${render.${name}}`;
-						}
+						anchor.setAttribute("name", `${match[1]}.${name}`);
 
 						// put the rest of the text into a new text node.
 						let newTextNode = document.createTextNode(node.textContent.substring(match.index+match[0].length));
@@ -717,10 +2447,28 @@ const Renderable =
 						}
 						// insert the anchor between the left and right part.
 						node.parentNode.insertBefore(anchor, node.nextSibling);
+
+						// Fill the anchor once it is in the document, so that the mounted hooks see it.
+						const placeholder = Renderable._internal.parse_placeholder(match[0], name);
+						if(placeholder?.path.length || placeholder?.pipes.length)
+						{
+							Renderable._internal.bind_placeholder(placeholder, scope, anchor);
+						} else if(name in scope)
+						{
+							anchor.innerHTML = Renderable._internal.html_of(scope[name]);
+							if(scope[name]._renderable.anchor instanceof Array)
+								scope[name]._renderable.anchor.push(anchor);
+							Renderable._internal.mounted(scope[name], new Set());
+						} else
+						{
+							anchor.innerHTML = match[0];
+						}
 					}
 				} break;
 			case Node.ELEMENT_NODE:
 				{
+					for(let attr of Array.from(node.attributes))
+						Renderable._internal.bind_attribute(node, attr.name);
 					for(let c of node.childNodes)
 					{
 						Renderable._internal.replace_placeholders(c);
@@ -729,6 +2477,202 @@ const Renderable =
 			}
 		},
 
+		void_tags: {
+			"AREA":"", "BASE":"", "BR":"", "COL":"", "EMBED":"", "HR":"", "IMG":"",
+			"INPUT":"", "LINK":"", "META":"", "PARAM":"", "SOURCE":"", "TRACK":"", "WBR":""
+		},
+
+		/** The result of Renderable.html and Renderable.raw. */
+		HTML: class HTML {
+			constructor(html) { this.html = html; }
+			toString() { return this.html; }
+		},
+
+		/** Converts a value interpolated by Renderable.html into HTML.
+		@param value:
+			The interpolated value.
+		@param attribute:
+			Whether the value is interpolated into a tag. */
+		escape(value, attribute)
+		{
+			if(value === null || value === undefined || value === false)
+				return "";
+			if(value instanceof Renderable._internal.HTML)
+				return value.html;
+			if(Renderable.isRenderable(value))
+				return String(value);
+			if(value instanceof Array)
+				return value.map(v => Renderable._internal.escape(v, attribute)).join("");
+
+			const escaped = String(value)
+				.replace(/&/g, "&amp;")
+				.replace(/</g, "&lt;")
+				.replace(/>/g, "&gt;");
+			return attribute
+				? escaped.replace(/"/g, "&quot;").replace(/'/g, "&#39;")
+				: escaped;
+		},
+
+		/** Checks a value interpolated into a tag outside of attribute values, which may only consist of attribute names, so that it cannot add attributes with values (such as event handlers).
+			Arrays are inserted as space-separated names, and the results of Renderable.html and Renderable.raw as they are. */
+		attribute_names(value)
+		{
+			if(value === null || value === undefined || value === false)
+				return "";
+			if(value instanceof Renderable._internal.HTML)
+				return value.html;
+			if(value instanceof Array)
+				return value.map(Renderable._internal.attribute_names).join(" ");
+
+			const name = String(value);
+			if(!/^[a-zA-Z_:][\w:.-]*$/.test(name))
+				throw new Error(`Only attribute names can be interpolated into tags, use Renderable.raw for '${name}'.`);
+			return name;
+		},
+
+		/** Splits a HTML string into text, tags and comments, and joins the results of `visit` for each of them.
+			The contents of raw text elements (such as scripts) are not split.
+		@param html:
+			The HTML string.
+		@param visit:
+			Called for each part, and returns its replacement. Text is passed as `{text}`, opening tags as `{tag, attrs, void, source}`, closing tags as `{tag, end: true, source}`, and everything else as `{source}`. Tag names are upper case. */
+		scan_html(html, visit)
+		{
+			const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+			let out = "";
+			let last = 0;
+			let match;
+			while((match = tokens.exec(html)) !== null)
+			{
+				if(match.index > last)
+					out += visit({text: html.slice(last, match.index)});
+				last = tokens.lastIndex;
+
+				if(!match[2])
+				{
+					out += visit({source: match[0]});
+					continue;
+				}
+
+				const tag = match[2].toUpperCase();
+				if(match[1])
+				{
+					out += visit({tag, end: true, source: match[0]});
+					continue;
+				}
+
+				out += visit({
+					tag,
+					attrs: match[3],
+					void: (tag in Renderable._internal.void_tags) || match[3].endsWith("/"),
+					source: match[0]
+				});
+
+				if(tag in Renderable._internal.raw_text_tags)
+				{
+					const end = html.slice(last).search(new RegExp(`</${tag}\\s*>`, "i"));
+					const to = (end === -1) ? html.length : last + end;
+					if(to > last)
+						out += visit({source: html.slice(last, to)});
+					last = tokens.lastIndex = to;
+				}
+			}
+
+			if(last < html.length)
+				out += visit({text: html.slice(last)});
+			return out;
+		},
+
+		/** Returns the unquoted value of an attribute in a tag's attribute string, "" for attributes without value, or null if it does not exist. */
+		attribute(attrs, name)
+		{
+			const value = new RegExp(`(?:^|\\s)${name}(?:\\s*=\\s*("[^"]*"|'[^']*'|[^\\s"'>]+))?`, "i").exec(attrs);
+			return value && (value[1] ?? "").replace(/^(["'])(.*)\1$/s, "$2");
+		},
+
+		/** Adds a renderable ID to the data-renderable-id attribute of each top-level element in a HTML string, just like Renderable._internal.generate_dom_children does within a DOM. */
+		annotate(html, id)
+		{
+			let depth = 0;
+			return Renderable._internal.scan_html(html, (token) => {
+				if(!token.tag)
+					return token.text ?? token.source;
+				if(token.end)
+				{
+					depth = Math.max(depth - 1, 0);
+					return token.source;
+				}
+
+				const top = (depth === 0);
+				if(!token.void)
+					++depth;
+				if(!top)
+					return token.source;
+
+				const name = token.source.slice(1, token.tag.length + 1);
+				const ids = /(\sdata-renderable-id\s*=\s*")([^"]*)"/i;
+				return ids.test(token.attrs)
+					? `<${name}${token.attrs.replace(ids, `$1$2,${id}"`)}>`
+					: `<${name} data-renderable-id="${id}"${token.attrs}>`;
+			});
+		},
+
+		/** Replaces all anchor placeholders (${render.anchor} strings, or ${scope.anchor} strings for scopes) in a HTML string with anchor tags containing the renderable object's HTML. */
+		expand_placeholders(html)
+		{
+			return html.replace(Renderable._internal.placeholder_pattern(), (source, scopeName, name) => {
+				const scope = Renderable._internal.scopes.get(scopeName);
+				if(!scope)
+					return source;
+
+				const placeholder = Renderable._internal.parse_placeholder(source, name);
+				let content = source;
+				if(placeholder && placeholder.name in scope)
+				{
+					const value = Renderable._internal.evaluate(placeholder, scope);
+					content = Renderable.isRenderable(value)
+						? Renderable._internal.html_of(value)
+						: Renderable._internal.escape(value, false);
+				}
+				return `<x-renderablejs-ignore name="${scopeName}.${name}">${content}</x-renderablejs-ignore>`;
+			});
+		},
+
+		/** Returns the complete HTML of a renderable object, including the HTML of its children. */
+		html_of(renderable)
+		{
+			const html = renderable.render();
+			const rthis = renderable._renderable;
+			// Within a DOM, the cache only contains placeholders for children.
+			if(!hasDom() || rthis.inline || !rthis.DOM)
+				return html;
+
+			return Renderable._internal.serialize(rthis.DOM);
+		},
+
+		/** Converts DOM nodes into HTML. */
+		serialize(nodes)
+		{
+			return nodes.map(node => {
+				switch(node.nodeType)
+				{
+				case Node.ELEMENT_NODE: return node.outerHTML;
+				case Node.COMMENT_NODE: return `<!--${node.nodeValue}-->`;
+				default:
+					const escape = document.createElement("span");
+					escape.textContent = node.nodeValue;
+					return escape.innerHTML;
+				}
+			}).join("");
+		},
+
+		raw_text_tags: {
+			"SCRIPT":"",
+			"STYLE":"",
+			"TEXTAREA":"",
+			"TITLE":""
+		},
+
 		forbidden_tags: {
 			"SCRIPT":"",
 			"STYLE":"",
@@ -749,7 +2693,7 @@ const Renderable =
 					if((node.getAttribute("data-renderablejs-ignore")||"").toLowerCase() !== "no")
 						return true;
 				}
-				if((node.name || "").match(/render\..+/))
+				if(Renderable._internal.is_anchor_name(node.getAttribute("name")))
 					return true;
 			}
 
@@ -776,13 +2720,18 @@ const Renderable =
 						{
 							Renderable._internal.replace_placeholders(notification.target);
 						} break;
+					case 'attributes':
+						{
+							if(!Renderable._internal.ignore(notification.target))
+								Renderable._internal.bind_attribute(notification.target, notification.attributeName);
+						} break;
 					default:
 					}
 				}
 			});
 
 			observer.state = {
-				attributes: false,
+				attributes: true,
 				characterDataOldValue: false,
 				characterData: true,
 				childList: true,
@@ -794,71 +2743,887 @@ const Renderable =
 
 		renderstack: [],
 
+		/** Creates a renderable object from the arguments of Renderable.create or Renderable.createInteractive. */
+		construct(base, fields, params, untracked, trackingId)
+		{
+			let r = Renderable.addFields(
+				Renderable.enable(
+					base,
+					{ render: untracked?.render, ...params },
+					trackingId),
+				fields);
+			if(params.computed)
+				Renderable.addComputed(r, params.computed);
+
+			if(typeof params["constructor"] === "function")
+				Renderable.with(r, () => params["constructor"].call(r));
+			try {
+				Renderable.render(r);
+			} catch(error) {
+				// The object stays dirty, so if it is created while rendering, the error reaches the error boundaries when it is used.
+				if(!Renderable._internal.renderstack.length)
+					Renderable._internal.unhandled(error);
+			}
+			delete r._renderable.constructing;
+			return r;
+		},
+
+		/** The computed properties and watchers currently being evaluated, innermost last. */
+		effects: [],
+
+		/** Evaluates `perform` while recording the renderable properties it reads as dependencies of `effect`.
+			Previously recorded dependencies are discarded. Whenever a dependency changes, `effect.notify()` is called. */
+		collect(effect, perform)
+		{
+			for(const deps of effect.sources)
+				deps.delete(effect);
+			effect.sources.clear();
+
+			const effects = Renderable._internal.effects;
+			effects.push(effect);
+			try {
+				return perform();
+			} finally {
+				effects.pop();
+			}
+		},
+
+		/** Stops tracking the dependencies of a renderable object that is no longer displayed, and of its children that are only displayed by it, so that objects created while rendering do not stay referenced by the properties they read.
+			The object is rendered again when it is used again, which tracks its dependencies anew. */
+		release(renderable)
+		{
+			const rthis = renderable._renderable;
+			if(rthis.parents.length
+			|| rthis.anchor.length
+			|| rthis.sink
+			|| rthis.rendering)
+				return;
+
+			Renderable._internal.collect(rthis.effect, () => {});
+			rthis.dirty = true;
+			const children = rthis.children;
+			rthis.children = [];
+			for(const child of children)
+			{
+				child._renderable.parents = child._renderable.parents.filter(p => p !== renderable);
+				Renderable._internal.release(child);
+			}
+		},
+
+		/** Records a read of a renderable property as dependency of the innermost evaluating effect.
+			Renderings do not depend on their own object's properties, as changing them invalidates the object anyway. */
+		track(owner, name)
+		{
+			const effect = Renderable._internal.effects.at(-1);
+			if(!effect || effect === owner._renderable.effect)
+				return;
+			const deps = owner._renderable.deps[name] ??= new Set();
+			deps.add(effect);
+			effect.sources.add(deps);
+		},
+
+		/** Notifies all dependents of a renderable property, and invalidates the property's owner as well as all renderable objects sharing the property. */
+		changed(owner, name)
+		{
+			Renderable._internal.record_history(owner, name);
+			const deps = owner._renderable.deps[name];
+			Renderable._internal.caused({ owner, field: name }, () => {
+				if(deps)
+					for(const effect of Array.from(deps))
+						try {
+							effect.notify();
+						} catch(error) {
+							// A failing watcher must not prevent the owner and the other dependents from updating.
+							Renderable._internal.report(error, owner);
+							Renderable._internal.unhandled(error);
+						}
+				Renderable.invalidate(owner);
+				for(const sharer of owner._renderable.sharers)
+					Renderable._internal.changed(sharer, name);
+			});
+		},
+
+		/** Errors that were already passed to Renderable.onError. */
+		reported: new WeakSet(),
+
+		/** Passes an error thrown while rendering a renderable object to Renderable.onError, unless it was already reported while rendering one of its children. */
+		report(error, renderable)
+		{
+			if(error instanceof Object)
+			{
+				if(Renderable._internal.reported.has(error))
+					return;
+				Renderable._internal.reported.add(error);
+			}
+			Renderable.onError?.(error, renderable);
+		},
+
+		/** Logs a rendering or watcher error that was not handled by an error boundary, unless Renderable.onError is set. */
+		unhandled(error)
+		{
+			if(!Renderable.onError)
+				console.error(error);
+		},
+
+		/** The current asynchronous rendering of each renderable object that did not settle yet. Discarded renderings are removed, so that Renderable.flush does not wait for them. */
+		pendingRenders: new Map(),
+
+		/** Waits for the result of an asynchronous `render()` function, and renders it once it settled, unless the renderable object was invalidated meanwhile.
+			If the promise is rejected, the object's `renderError` parameter is used to display the error instead.
+		@return
+			The HTML to display until then: `settings.placeholder`, or Renderable.config.placeholder. */
+		await_render(renderable, promise)
+		{
+			const rthis = renderable._renderable;
+			const token = rthis.pending = {};
+			const settle = (html) => {
+				if(rthis.pending !== token)
+					return;
+				rthis.pending = null;
+				rthis.resolved = { html };
+				rthis.settling = true;
+				try {
+					Renderable.invalidate(renderable);
+				} finally {
+					rthis.settling = false;
+				}
+			};
+
+			const pending = Renderable._internal.pendingRenders;
+			const settled = promise.then(settle, (error) => {
+				if(rthis.pending !== token)
+					return;
+				Renderable._internal.report(error, renderable);
+				if(rthis.renderError)
+					return settle(rthis.renderError.call(renderable, error));
+				Renderable._internal.unhandled(error);
+				settle("");
+			}).catch((error) => {
+				// Errors of `renderError` or of rendering synchronously while settling.
+				Renderable._internal.report(error, renderable);
+				Renderable._internal.unhandled(error);
+			}).finally(() => {
+				if(pending.get(renderable) === settled)
+					pending.delete(renderable);
+			});
+			pending.set(renderable, settled);
+
+			return rthis.placeholder ?? Renderable.config.placeholder;
+		},
+
+		/** The field write or child re-render that is currently invalidating renderable objects, for the profiler. */
+		cause: null,
+
+		/** Runs `perform` with `cause` as the reason of all invalidations that happen meanwhile, unless there already is an outer reason. */
+		caused(cause, perform)
+		{
+			if(Renderable._internal.cause)
+				return perform();
+			Renderable._internal.cause = cause;
+			try {
+				return perform();
+			} finally {
+				Renderable._internal.cause = null;
+			}
+		},
+
+		/** The statistics recorded for each renderable object while profiling, see Renderable.profile. */
+		profiles: new WeakMap(),
+		/** How many invalidations are kept per renderable object while profiling. */
+		profileHistory: 100,
+
+		/** Returns the profiler statistics of a renderable object, creating them if needed. */
+		profile_of(renderable)
+		{
+			const profiles = Renderable._internal.profiles;
+			if(!profiles.has(renderable))
+				profiles.set(renderable, {
+					renders: 0,
+					changes: 0,
+					renderTime: 0,
+					domTime: 0,
+					invalidations: []
+				});
+			return profiles.get(renderable);
+		},
+
+		/** Records a call to Renderable.render while profiling. */
+		profile_render(renderable, render, dom, changed)
+		{
+			if(!Renderable.config.profile)
+				return;
+			const profile = Renderable._internal.profile_of(renderable);
+			++profile.renders;
+			if(changed)
+				++profile.changes;
+			profile.renderTime += render;
+			profile.domTime += dom;
+			Renderable.onProfile?.({ type: "render", renderable, render, dom, changed });
+		},
+
+		/** Records an invalidation and its cause while profiling. */
+		profile_invalidation(renderable)
+		{
+			if(!Renderable.config.profile)
+				return;
+			const cause = Renderable._internal.cause;
+			const invalidation = {
+				owner: cause?.owner ?? null,
+				field: cause?.field ?? null,
+				time: globalScope.performance?.now() ?? Date.now()
+			};
+			const invalidations = Renderable._internal.profile_of(renderable).invalidations;
+			invalidations.push(invalidation);
+			if(invalidations.length > Renderable._internal.profileHistory)
+				invalidations.shift();
+			Renderable.onProfile?.({ type: "invalidate", renderable, ...invalidation });
+		},
+
+		/** The names of a renderable object's renderable properties, including shared ones. */
+		field_names(renderable)
+		{
+			const rthis = renderable._renderable;
+			return rthis.values.concat(rthis.shares.flatMap(Renderable._internal.field_names));
+		},
+
+		/** Copies a property value for Renderable.snapshot and Renderable.restore. */
+		copy_state(value)
+		{
+			value = Renderable._internal.toRaw(value);
+			if(Renderable.isRenderable(value))
+				return Renderable.snapshot(value);
+			if(Array.isArray(value))
+				return value.map(Renderable._internal.copy_state);
+			// Map keys are kept, as they are looked up by identity.
+			if(value instanceof Map)
+				return new Map(Array.from(value, ([key, v]) => [key, Renderable._internal.copy_state(v)]));
+			if(value instanceof Set)
+				return new Set(Array.from(value, Renderable._internal.copy_state));
+			if(value instanceof Object && Object.getPrototypeOf(value) === Object.prototype)
+			{
+				const copy = {};
+				for(const key in value)
+					copy[key] = Renderable._internal.copy_state(value[key]);
+				return copy;
+			}
+			return value;
+		},
+
+		/** The recorded changes of renderable objects, see Renderable.history. */
+		histories: new WeakMap(),
+		/** The histories that recorded a change in the currently running batch. */
+		historyGroups: new Set(),
+
+		/** Records the state of a renderable object before a change of one of its renderable properties. */
+		record_history(owner, name)
+		{
+			const internal = Renderable._internal;
+			const history = internal.histories.get(owner);
+			// Computed properties only change because of other properties.
+			if(!history
+			|| history.restoring
+			|| internal.historyGroups.has(history)
+			|| !internal.field_names(owner).includes(name))
+				return;
+
+			history.undo.push(history.current);
+			if(history.undo.length > history.depth)
+				history.undo.shift();
+			history.redo = [];
+			if(internal.scheduler.batches)
+				internal.historyGroups.add(history);
+			else
+				// Field writes notify after writing, so the new state is already visible.
+				history.current = Renderable.snapshot(owner);
+		},
+
+		/** Takes the new state of all histories changed in the batch that just ended. */
+		close_history_groups()
+		{
+			for(const history of Renderable._internal.historyGroups)
+				history.current = Renderable.snapshot(history.renderable);
+			Renderable._internal.historyGroups.clear();
+		},
+
+		/** Maps the proxies created by Renderable._internal.reactive back to their targets. */
+		proxyTargets: new WeakMap(),
+		/** Objects passed to Renderable.markRaw. */
+		rawObjects: new WeakSet(),
+		arrayMutators: new Set(["copyWithin", "fill", "pop", "push", "reverse", "shift", "sort", "splice", "unshift"]),
+
+		/** Returns the target of a reactive proxy, or the value itself if it is no proxy. */
+		toRaw(value)
+		{
+			return Renderable._internal.proxyTargets.get(value) ?? value;
+		},
+
+		/** Wraps a field's value into a proxy that invalidates the field's owner when modified.
+			Nested objects are wrapped when they are accessed. Values that cannot be modified, or that are not plain objects, arrays, maps or sets are returned unchanged.
+		@param value:
+			The field's value.
+		@param owner:
+			The renderable object owning the field.
+		@param name:
+			The field's name. */
+		reactive(value, owner, name)
+		{
+			if(!value
+			|| typeof value !== "object"
+			|| Object.isFrozen(value)
+			|| Renderable._internal.rawObjects.has(value)
+			|| Renderable._internal.proxyTargets.has(value)
+			|| Renderable.isRenderable(value))
+				return value;
+
+			const proto = Object.getPrototypeOf(value);
+			if(!(proto === Object.prototype
+			|| proto === null
+			|| value instanceof Array
+			|| value instanceof Map
+			|| value instanceof Set))
+				return value;
+
+			const proxies = owner._renderable.proxies[name] ??= {
+				cache: new WeakMap(),
+				handler: Renderable._internal.reactiveHandler(owner, name)
+			};
+			let proxy = proxies.cache.get(value);
+			if(!proxy)
+			{
+				proxy = new Proxy(value, proxies.handler);
+				proxies.cache.set(value, proxy);
+				Renderable._internal.proxyTargets.set(proxy, value);
+			}
+			return proxy;
+		},
+
+		/** Creates the proxy handler for all nested objects of a field. */
+		reactiveHandler(owner, name)
+		{
+			const toRaw = Renderable._internal.toRaw;
+			const reactive = (value) => Renderable._internal.reactive(value, owner, name);
+			const guard = () => owner._renderable.guard?.(name);
+
+			// Array mutators notify only once, after they are done.
+			let mutating = 0;
+			let modified = false;
+			const notify = () => {
+				if(mutating)
+					modified = true;
+				else
+					Renderable._internal.changed(owner, name);
+			};
+			const mutate = (perform) => {
+				++mutating;
+				try {
+					return perform();
+				} finally {
+					if(!--mutating && modified)
+					{
+						modified = false;
+						notify();
+					}
+				}
+			};
+
+			const collectionHandler = (target, key, receiver) => {
+				if(key === "size")
+					return target.size;
+
+				const method = target[key];
+				if(typeof method !== "function")
+					return method;
+
+				switch(key)
+				{
+				case "get":
+					return (k) => reactive(target.get(toRaw(k)));
+				case "has":
+					return (k) => target.has(toRaw(k));
+				case "forEach":
+					return (callback, thisArg) => target.forEach((v, k) =>
+						callback.call(thisArg, reactive(v), reactive(k), receiver));
+				case "keys":
+				case "values":
+				case "entries":
+				case Symbol.iterator:
+					// Values reached by iterating are reactive as well.
+					return function*() {
+						const pairs = key === "entries" || (key === Symbol.iterator && target instanceof Map);
+						for(const item of method.call(target))
+							yield pairs ? item.map(reactive) : reactive(item);
+					};
+				case "set":
+					return (k, v) => {
+						guard();
+						k = toRaw(k);
+						v = toRaw(v);
+						const changed = !target.has(k) || target.get(k) !== v;
+						target.set(k, v);
+						if(changed)
+							notify();
+						return receiver;
+					};
+				case "add":
+					return (v) => {
+						guard();
+						v = toRaw(v);
+						if(!target.has(v))
+						{
+							target.add(v);
+							notify();
+						}
+						return receiver;
+					};
+				case "delete":
+					return (k) => {
+						guard();
+						const deleted = target.delete(toRaw(k));
+						if(deleted)
+							notify();
+						return deleted;
+					};
+				case "clear":
+					return () => {
+						guard();
+						const size = target.size;
+						target.clear();
+						if(size)
+							notify();
+					};
+				default:
+					return method.bind(target);
+				}
+			};
+
+			return {
+				get(target, key, receiver)
+				{
+					if(target instanceof Map || target instanceof Set)
+						return collectionHandler(target, key, receiver);
+
+					const value = Reflect.get(target, key, receiver);
+					if(target instanceof Array
+					&& Renderable._internal.arrayMutators.has(key))
+						return function(...args) {
+							guard();
+							return mutate(() => value.apply(this, args));
+						};
+
+					// Proxies must return the actual value of read-only properties.
+					const descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+					if(descriptor && !descriptor.configurable && !descriptor.writable)
+						return value;
+
+					return reactive(value);
+				},
+				set(target, key, value, receiver)
+				{
+					guard();
+					value = toRaw(value);
+					const existed = Object.prototype.hasOwnProperty.call(target, key);
+					const old = target[key];
+					const result = Reflect.set(target, key, value, receiver);
+					if(result && (!existed || old !== value))
+						notify();
+					return result;
+				},
+				deleteProperty(target, key)
+				{
+					guard();
+					const existed = Object.prototype.hasOwnProperty.call(target, key);
+					const result = Reflect.deleteProperty(target, key);
+					if(result && existed)
+						notify();
+					return result;
+				}
+			};
+		},
+
+		/** Pending re-renders, see Renderable.config.schedule. */
+		scheduler: {
+			queue: new Set(),
+			batches: 0,
+			pending: false,
+			flushing: false
+		},
+
+		/** Queues a renderable for re-rendering and ensures that the queue will be flushed. */
+		schedule(renderable)
+		{
+			const scheduler = Renderable._internal.scheduler;
+			scheduler.queue.add(renderable);
+			if(scheduler.batches || scheduler.flushing || scheduler.pending)
+				return;
+
+			const flush = () => Renderable._internal.flush();
+			switch(Renderable.config.schedule)
+			{
+			case "sync":
+				flush();
+				break;
+			case "frame":
+				if(globalScope.requestAnimationFrame)
+				{
+					scheduler.pending = true;
+					globalScope.requestAnimationFrame(flush);
+					break;
+				}
+				// fall through: no animation frames outside of browsers.
+			default:
+				scheduler.pending = true;
+				queueMicrotask(flush);
+			}
+		},
+
+		/** Renders all queued renderables, children before their parents. */
+		flush()
+		{
+			const scheduler = Renderable._internal.scheduler;
+			scheduler.pending = false;
+			if(scheduler.flushing)
+				return;
+
+			scheduler.flushing = true;
+			try {
+				// Rendering a child invalidates its parents, which queues them again.
+				while(scheduler.queue.size)
+				{
+					const depths = new Map();
+					const queue = Array.from(scheduler.queue);
+					scheduler.queue.clear();
+					queue.sort((a, b) =>
+						Renderable._internal.depth(b, depths) - Renderable._internal.depth(a, depths));
+					// Errors that no error boundary handled must not prevent other renderables from rendering.
+					for(const renderable of queue)
+						try {
+							Renderable.render(renderable);
+						} catch(error) {
+							// Give the parents' error boundaries a chance to handle the error.
+							if(renderable._renderable.parents.length)
+								renderable._renderable.parents.forEach(Renderable.invalidate);
+							else
+								Renderable._internal.unhandled(error);
+						}
+				}
+			} finally {
+				scheduler.flushing = false;
+			}
+		},
+
+		/** The length of the longest parent chain above a renderable. */
+		depth(renderable, memo)
+		{
+			if(memo.has(renderable))
+				return memo.get(renderable);
+			// Guard against cyclic parent chains.
+			memo.set(renderable, 0);
+			let depth = 0;
+			for(const parent of renderable._renderable.parents)
+				depth = Math.max(depth, Renderable._internal.depth(parent, memo) + 1);
+			memo.set(renderable, depth);
+			return depth;
+		},
+
+		/** Event types that do not bubble. They are received in the capture phase, and still reach all renderable objects on the event's path, so that components receive the events of the elements inside them. */
+		nonBubbling: new Set([
+			"focus", "blur", "mouseenter", "mouseleave", "pointerenter", "pointerleave",
+			"scroll", "scrollend", "load", "error", "abort", "toggle", "invalid",
+			"play", "pause", "ended", "canplay", "timeupdate", "volumechange"]),
+		/** Non-bubbling event types that are dispatched to each element they concern, see Renderable._internal.dispatch. */
+		enterLeave: new Set(["mouseenter", "mouseleave", "pointerenter", "pointerleave"]),
+		/** Event handler name modifiers that do not filter keys or mouse buttons. */
+		eventModifiers: new Set(["stop", "prevent", "self", "once", "capture", "passive", "ctrl", "alt", "shift", "meta"]),
+		keyAliases: { esc: "escape", space: " ", up: "arrowup", down: "arrowdown", left: "arrowleft", right: "arrowright", del: "delete" },
+		mouseButtons: { left: 0, middle: 1, right: 2 },
+
+		/** Splits an event handler name ("keydown.enter.prevent") into the event type and its modifiers. */
+		event_name(name)
+		{
+			const [type, ...modifiers] = name.split(".");
+			return { type, modifiers: new Set(modifiers.map(m => m.toLowerCase())) };
+		},
+
+		/** Returns the names of the document listeners needed for event handler names: the event type, followed by ".passive" for passive handlers. */
+		listener_names(names)
+		{
+			const result = new Set();
+			for(const name of names)
+			{
+				const { type, modifiers } = Renderable._internal.event_name(name);
+				result.add(modifiers.has("passive") ? `${type}.passive` : type);
+			}
+			return Array.from(result);
+		},
+
+		/** Returns the event handlers of a renderable object for an event type, with their names and modifiers.
+		@param passive:
+			Optional: Whether to return only passive or only non-passive handlers. */
+		handlers(renderable, type, passive)
+		{
+			const rthis = renderable._renderable;
+			const result = [];
+			for(const name in rthis.events)
+			{
+				const { type: t, modifiers } = Renderable._internal.event_name(name);
+				if(t === type
+				&& (passive === undefined || modifiers.has("passive") === passive)
+				&& !rthis.spent?.has(name))
+					result.push({ name, modifiers, handler: rthis.events[name] });
+			}
+			return result;
+		},
+
+		/** Checks whether an event passes the key, mouse button, modifier key and `self` filters of an event handler.
+		@param root:
+			The element of the handler's renderable object that contains the event's target. */
+		modifiers_match(modifiers, e, root)
+		{
+			const internal = Renderable._internal;
+			for(const modifier of modifiers)
+			{
+				if(modifier in {ctrl: 0, alt: 0, shift: 0, meta: 0})
+				{
+					if(!e[`${modifier}Key`])
+						return false;
+				} else if(modifier === "self")
+				{
+					if((e.composedPath?.()[0] ?? e.target) !== root)
+						return false;
+				} else if(!internal.eventModifiers.has(modifier))
+				{
+					if(typeof e.key === "string")
+					{
+						if(e.key.toLowerCase() !== (internal.keyAliases[modifier] ?? modifier))
+							return false;
+					} else if(modifier in internal.mouseButtons)
+					{
+						if(e.button !== internal.mouseButtons[modifier])
+							return false;
+					} else
+						return false;
+				}
+			}
+			return true;
+		},
+
+		/** Creates the event object passed to event handlers. */
+		event_data(e, scope, root, bubbled)
+		{
+			const target = e.composedPath?.()[0] ?? e.target;
+			return {
+				type: e.type,
+				data: {
+					key: e.key,
+					code: e.code,
+					repeat: e.repeat,
+					data: e.data,
+					inputType: e.inputType,
+					value: target?.value,
+					checked: target?.checked,
+					button: e.button,
+					buttons: e.buttons,
+					clientX: e.clientX,
+					clientY: e.clientY,
+					pageX: e.pageX,
+					pageY: e.pageY,
+					offsetX: e.offsetX,
+					offsetY: e.offsetY,
+					deltaX: e.deltaX,
+					deltaY: e.deltaY,
+					pointerId: e.pointerId,
+					pointerType: e.pointerType,
+					touches: e.touches,
+					altKey: e.altKey,
+					ctrlKey: e.ctrlKey,
+					shiftKey: e.shiftKey,
+					metaKey: e.metaKey
+				},
+				target,
+				scope,
+				bubbled,
+				root,
+				raw: e
+			};
+		},
+
+		/** Calls an event handler, if the event passes its modifiers.
+		@return
+			Whether the event may be passed to further handlers. */
+		call_handler(e, { renderable, root, name, modifiers, handler }, scope, bubbled)
+		{
+			if(!Renderable._internal.modifiers_match(modifiers, e, root))
+				return true;
+			const rthis = renderable._renderable;
+			if(modifiers.has("once"))
+				(rthis.spent ??= new Set()).add(name);
+
+			const passive = modifiers.has("passive");
+			if(modifiers.has("prevent") && !passive)
+				e.preventDefault();
+			const result = handler.call(renderable, Renderable._internal.event_data(e, scope, root, bubbled));
+			if(modifiers.has("stop"))
+			{
+				e.stopPropagation();
+				return false;
+			}
+			if(!result && !passive)
+			{
+				e.preventDefault();
+				return false;
+			}
+			return true;
+		},
+
+		/** Passes a DOM event received by a document listener to the interactive renderable objects whose elements contain its target, and then to the fallback renderable objects, see Renderable.fallback.
+			Handlers are called from the innermost to the outermost renderable object, except for handlers with the `capture` modifier, which are called before all others, from the outermost to the innermost. If a handler returns a falsy value, the event's default action is prevented and no further handlers are called.
+		@param name:
+			The name of the listener, see Renderable._internal.listener_names. */
+		dispatch(e, name)
+		{
+			const internal = Renderable._internal;
+			if(internal.handled(e, name))
+				return;
+			const passive = name.endsWith(".passive");
+			let elements = e.composedPath().filter(node => node instanceof Element);
+			// Every entered or left element receives its own event, so only the target's handlers are called.
+			if(internal.enterLeave.has(e.type))
+				elements = elements.slice(0, 1);
+
+			// The handlers of the renderable objects on the event's path, innermost first.
+			const calls = [];
+			let scope;
+			for(const root of elements)
+				for(const id of root.dataset?.renderableId?.split(",") ?? [])
+				{
+					const renderable = internal.uniqueRenderables[id]?.deref();
+					if(!renderable)
+						continue;
+					scope ??= renderable;
+					for(const handler of internal.handlers(renderable, e.type, passive))
+						calls.push({ ...handler, renderable, root });
+				}
+
+			const capture = calls.filter(call => call.modifiers.has("capture")).reverse();
+			for(const call of capture.concat(calls.filter(call => !call.modifiers.has("capture"))))
+				if(!internal.call_handler(e, call, scope, call.renderable !== scope))
+					return;
+
+			// activate fallback:
+			for(let r = internal.eventListeners[name]?.fallback; r;
+				r = r._renderable.parents.at(-1))
+			{
+				scope ??= r;
+				for(const handler of internal.handlers(r, e.type, passive))
+					if(!internal.call_handler(e, { ...handler, renderable: r, root: null }, scope, true))
+						return;
+			}
+		},
+
+		/** Shadow roots that receive the same event listeners as the document, see Renderable.defineElement. Events that are not composed do not leave shadow roots. */
+		eventRoots: new Set(),
+		/** The listeners that already handled an event, as events can reach both a shadow root's and the document's listener. */
+		dispatched: new WeakMap(),
+
+		/** Checks whether a listener already handled an event, and marks it as handled. */
+		handled(e, name)
+		{
+			const dispatched = Renderable._internal.dispatched;
+			if(!dispatched.has(e))
+				dispatched.set(e, new Set());
+			if(dispatched.get(e).has(name))
+				return true;
+			dispatched.get(e).add(name);
+			return false;
+		},
+
+		/** Returns the event type and options of a listener, see Renderable._internal.listener_names. */
+		listener_options(name)
+		{
+			const [type, passive] = name.split(".");
+			return [type, {
+				capture: Renderable._internal.nonBubbling.has(type),
+				passive: !!passive
+			}];
+		},
+
+		/** Adds a listener to the document and all event roots. */
+		add_listener(name, handler)
+		{
+			const [type, options] = Renderable._internal.listener_options(name);
+			for(const root of [document, ...Renderable._internal.eventRoots])
+				root.addEventListener(type, handler, options);
+		},
+
+		/** Removes a listener from the document and all event roots. */
+		remove_listener(name, handler)
+		{
+			const [type, options] = Renderable._internal.listener_options(name);
+			for(const root of [document, ...Renderable._internal.eventRoots])
+				root.removeEventListener(type, handler, options);
+		},
+
+		/** Adds all current listeners to a shadow root, so that it passes events to renderable objects. */
+		add_event_root(root)
+		{
+			const internal = Renderable._internal;
+			if(internal.eventRoots.has(root))
+				return;
+			internal.eventRoots.add(root);
+			for(const [name, { handler }] of Object.entries(internal.eventListeners))
+			{
+				const [type, options] = internal.listener_options(name);
+				root.addEventListener(type, handler, options);
+			}
+			if(internal.bindListener)
+				for(const type of ["input", "change"])
+					root.addEventListener(type, internal.bindListener);
+		},
+
+		/** Removes all listeners from a shadow root added via Renderable._internal.add_event_root. */
+		remove_event_root(root)
+		{
+			const internal = Renderable._internal;
+			if(!internal.eventRoots.delete(root))
+				return;
+			for(const [name, { handler }] of Object.entries(internal.eventListeners))
+			{
+				const [type, options] = internal.listener_options(name);
+				root.removeEventListener(type, handler, options);
+			}
+			if(internal.bindListener)
+				for(const type of ["input", "change"])
+					root.removeEventListener(type, internal.bindListener);
+		},
+
 		eventListeners: {},
 		uniqueRenderables: {}
 	},
 
+	/** Starts listening for DOM events on the document, for the event handlers of interactive renderable objects.
+		Events that do not bubble are received in the capture phase, and handlers with the `passive` modifier get their own passive listener. The shadow roots of custom elements (see Renderable.defineElement) receive the same listeners.
+	@param events:
+		The names of the event handlers, including their modifiers. */
 	listenForEvents(events)
 	{
 		if(!hasDom()) return;
 
 		let listeners = Renderable._internal.eventListeners;
-		for(let name of events) {
+		for(let name of Renderable._internal.listener_names(events)) {
 			if(name in listeners)
 				continue;
 
-			listeners[name] = { handler: (e) => {
-				let renderable;
-				let called = false;
-				for(let target = e.target; target; target = target?.parentElement) {
-					for(let id of (target.dataset?.renderableId?.split(",")??[])) {
-						let r = Renderable._internal.uniqueRenderables[id]?.deref();
-						renderable = renderable ?? r;
-						let handler = r?._renderable.events[e.type];
-						if(handler && !handler.call(r, {
-							type: e.type,
-							data: { key:e.key, data:e.data },
-							target: e.target,
-							scope: renderable,
-							bubbled: r != renderable,
-							root: target,
-							raw: e
-						})) {
-							e.preventDefault();
-							return;
-						}
-						called ||= handler;
-					}
-				}
-
-				// activate fallback:
-				for(let r = listeners[name]?.fallback; r;
-					r = r._renderable.parents.at(-1))
-				{
-					renderable = renderable ?? r;
-					let handler = r?._renderable.events[e.type];
-					if(handler && !handler.call(r, {
-						type: e.type,
-						data: { key:e.key },
-						target: e.target,
-						scope: renderable,
-						bubbled: true,
-						raw: e
-					})) {
-						e.preventDefault();
-						return;
-					}
-				}
-			}};
-			document.addEventListener(name, listeners[name].handler);
+			listeners[name] = { handler: (e) => Renderable._internal.dispatch(e, name) };
+			Renderable._internal.add_listener(name, listeners[name].handler);
 		}
 	},
 
 	unlistenEvents(events) {
 		let listeners = Renderable._internal.eventListeners;
-		for(let event of events) {
-			document.removeEventListener(event, listeners[event]?.handler);
-			delete listeners[event];
+		for(let name of Renderable._internal.listener_names(events)) {
+			if(name in listeners)
+				Renderable._internal.remove_listener(name, listeners[name].handler);
+			delete listeners[name];
 		}
 	},
 
@@ -875,7 +3640,7 @@ if(declareGlobals) {
 }
 
 // Every minute, clear the interactive renderable map.
-setInterval(() => {
+const sweep = setInterval(() => {
 	let map = Renderable._internal.uniqueRenderables;
 	for(let id in map) {
 		if(map[id].deref() === undefined) {
@@ -883,6 +3648,8 @@ setInterval(() => {
 		}
 	}
 }, 60000);
+// Outside of browsers, the timer must not keep the process alive.
+sweep.unref?.();
 
 if(hasDom())
 	document.addEventListener("DOMContentLoaded", function() {
@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Renderable } = require("../renderable.js");
+
+test("Renderable.html escapes text and attribute values", () => {
+	const name = "<script>alert(1)</script>";
+	assert.strictEqual(
+		String(Renderable.html`<a href=${'x" onclick="alert(1)'} title="${"'"}">${name}</a>`),
+		`<a href="x&quot; onclick=&quot;alert(1)" title="&#39;">&lt;script&gt;alert(1)&lt;/script&gt;</a>`);
+});
+
+test("Renderable.html only interpolates attribute names into tags", () => {
+	assert.throws(() => Renderable.html`<div ${"onclick=alert(1)"}>`, /Only attribute names/);
+	assert.throws(() => Renderable.html`<div ${'" onclick="alert(1)'}>`, /Only attribute names/);
+	assert.throws(() => Renderable.html`<div class=x${" onclick=alert(1)"}>`, /Only attribute names/);
+
+	assert.strictEqual(String(Renderable.html`<input ${"disabled"}>`), "<input disabled>");
+	assert.strictEqual(String(Renderable.html`<input ${false}>`), "<input >");
+	assert.strictEqual(String(Renderable.html`<input ${["required", "data-x"]}>`), "<input required data-x>");
+	assert.strictEqual(String(Renderable.html`<div ${Renderable.raw('onclick="f()"')}>`), `<div onclick="f()">`);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Renderable } = require("../renderable.js");
+
+const create = (fields) => Renderable.create(fields, { render() { return ""; } });
+
+test("Renderable.snapshot copies maps and sets", () => {
+	const p = create({ m: new Map([["k", { v: 1 }]]), s: new Set([{ n: 1 }]) });
+	const snapshot = Renderable.snapshot(p);
+
+	p.m.get("k").v = 5;
+	for(const item of p.s)
+		item.n = 5;
+	assert.strictEqual(snapshot.m.get("k").v, 1);
+	assert.strictEqual(Array.from(snapshot.s)[0].n, 1);
+
+	Renderable.restore(p, snapshot);
+	assert.strictEqual(p.m.get("k").v, 1);
+	assert.strictEqual(Array.from(p.s)[0].n, 1);
+	// The restored state does not share objects with the snapshot either.
+	p.m.get("k").v = 7;
+	assert.strictEqual(snapshot.m.get("k").v, 1);
+});
+
+test("Renderable.history undoes changes within maps", () => {
+	const p = create({ m: new Map([["k", { v: 1 }]]) });
+	const h = Renderable.history(p);
+	h.clear();
+
+	p.m.get("k").v = 5;
+	assert.ok(h.undo());
+	assert.strictEqual(p.m.get("k").v, 1);
+	assert.ok(h.redo());
+	assert.strictEqual(p.m.get("k").v, 5);
+	h.stop();
+});